@@ -5,8 +5,15 @@
  */
 
 var integration = require('segmentio-integration');
+var consented = require('./filter').consented;
+var clientId = require('./client-id');
+var extend = require('lodash.assign');
 var hash = require('string-hash');
+var Limiter = require('./limiter');
+var retry = require('./retry');
+var scrub = require('./scrub');
 var fmt = require('util').format;
+var qs = require('querystring');
 var time = require('unix-time');
 var is = require('is');
 
@@ -15,8 +22,7 @@ var is = require('is');
  */
 
 var GA = module.exports = integration('Google Analytics')
-  .endpoint('https://ssl.google-analytics.com/__utm.gif')
-  .retries(2);
+  .endpoint('https://ssl.google-analytics.com/__utm.gif');
 
 /**
  * Initialize
@@ -26,6 +32,11 @@ var GA = module.exports = integration('Google Analytics')
 
 GA.prototype.initialize = function(){
   this.version = '5.4.3';
+  this.limiter = new Limiter({
+    rate: this.settings.hitsPerSecond,
+    burst: this.settings.hitBurst,
+    concurrency: this.settings.maxConcurrentRequests
+  });
 };
 
 /**
@@ -39,14 +50,7 @@ GA.prototype.initialize = function(){
  */
 
 GA.prototype.track = function(track, callback) {
-  return this
-    .get()
-    .set(this._headers(track))
-    .query(this._querystring(track))
-    .query({ utmt: 'event' })
-    .query({ utme: this.formatEvent(track) })
-    .query({ utmni: 1 })
-    .end(this.handle(callback));
+  return this.send(track, this._event(track), callback);
 };
 
 /**
@@ -59,13 +63,123 @@ GA.prototype.track = function(track, callback) {
  */
 
 GA.prototype.page = function(page, callback) {
-  return this
-    .get()
-    .query(this._querystring(page))
-    .query({ utmdt: page.proxy('properties.title') || '' })
-    .query({ utmp: page.proxy('properties.path') || '/' })
-    .set(this._headers(page))
-    .end(this.handle(callback));
+  return this.send(page, this._pageview(page), callback);
+};
+
+/**
+ * Build the gif request `message` would be sent as, without sending it:
+ * `{ endpoint, method, headers, query }` with the encoded querystring.
+ *
+ * Only tracks and pages are sent, and requests the `piiPolicy`
+ * drops are left out.
+ *
+ * @param {Facade} message
+ * @return {Object[]}
+ * @api public
+ */
+
+GA.prototype.preview = function(message){
+  var type = message.type();
+  var query;
+
+  if ('track' == type) query = this._event(message);
+  else if ('page' == type) query = this._pageview(message);
+  else return [];
+
+  var scrubbed = scrub(query, this.settings);
+  if (scrubbed.drop) return [];
+
+  return [{
+    endpoint: this.endpoint,
+    method: 'GET',
+    headers: extend({ 'User-Agent': 'Segment.io/1.0' }, this._headers(message)),
+    query: qs.stringify(scrubbed.payload)
+  }];
+};
+
+/**
+ * Send the gif request of `message` with `query`.
+ *
+ * PII is scrubbed first, emitting "scrub" with the number of
+ * matches, and requests the `piiPolicy` drops are skipped. The
+ * number is also reported to `callback` as `res.scrubbed`.
+ *
+ * @param {Facade} message
+ * @param {Object} query
+ * @param {Function} callback
+ * @api private
+ */
+
+GA.prototype.send = function(message, query, callback){
+  var scrubbed = scrub(query, this.settings);
+  var count = scrubbed.count;
+  if (count) this.emit('scrub', count, message.type());
+  if (scrubbed.drop) return setImmediate(callback, null, { skipped: true, reason: fmt('%s hit contains pii', message.type()), scrubbed: count });
+
+  var self = this;
+  return this.deliver(function(done){
+    self
+      .get()
+      .set(self._headers(message))
+      .query(scrubbed.payload)
+      .end(self.handle(done));
+  }, [scrubbed.payload], function(err, res){
+    callback(err, scrub.report(res, count));
+  });
+};
+
+/**
+ * Run `request(done)` sending `payloads` once the limiter allows it,
+ * retrying transient errors with backoff like universal hits.
+ *
+ * @param {Function} request
+ * @param {Object[]} payloads
+ * @param {Function} callback
+ * @api private
+ */
+
+GA.prototype.deliver = function(request, payloads, callback){
+  var limiter = this.limiter;
+  var hits = {};
+  hits[this.settings.serversideTrackingId] = payloads.length;
+  retry({
+    retries: this.settings.retries,
+    minDelay: this.settings.retryMinDelay,
+    maxDelay: this.settings.retryMaxDelay
+  }, function(done){
+    limiter.schedule(hits, request, done);
+  }, callback);
+};
+
+/**
+ * Create the event querystring of `track`.
+ *
+ * @param {Track} track
+ * @return {Object}
+ * @api private
+ */
+
+GA.prototype._event = function(track){
+  return extend(this._querystring(track), {
+    utmt: 'event',
+    utme: this.formatEvent(track),
+    utmni: 1
+  });
+};
+
+/**
+ * Create the pageview querystring of `page`.
+ *
+ * @param {Page} page
+ * @return {Object}
+ * @api private
+ */
+
+GA.prototype._pageview = function(page){
+  return extend(this._querystring(page), {
+    utmdt: page.proxy('properties.title') || '',
+    utmp: page.proxy('properties.path') || '/'
+  });
 };
 
 /**
@@ -108,6 +222,10 @@ GA.prototype._headers = function(message){
 /**
  * Generate a cookie for the request
  *
+ * Messages denied analytics consent (sent when `settings.consentPolicy`
+ * is "anonymous") ignore any cookie passed in, and get a cookie with
+ * a random visitor id instead of one derived from the user.
+ *
  * @param {Facade} message
  * @return {String}
  * @api private
@@ -117,7 +235,7 @@ GA.prototype._cookie = function(message){
   var options = message.options(this.name);
 
   // Check whether they explicitly passed in the cookie.
-  if (options) {
+  if (options && consented(message)) {
     // backwards compat for utmcc
     var cookie = options.cookie || options.utmcc;
     if (is.string(cookie)) return cookie;
@@ -177,7 +295,8 @@ function buildCookie(message){
    */
 
   var domainHash = 1;
-  var userId = hash(message.userId() || message.sessionId());
+  var anonymous = !consented(message);
+  var userId = hash(anonymous ? clientId.strategies.random(message) : message.userId() || message.sessionId());
   var visits = 1;
   var now = time(new Date());
 
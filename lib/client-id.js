@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var crypto = require('crypto');
+var hash = require('string-hash');
+var is = require('is');
+
+/**
+ * Expose `clientId`
+ */
+
+module.exports = clientId;
+
+/**
+ * Client ID strategies by name, each one is called with the message
+ * facade and returns its client ID. Add to this to plug in your own.
+ *
+ *    - `uuid` - UUIDv4-shaped ID derived from the anonymous ID (default),
+ *      random when the message has no ID
+ *    - `hash` - legacy 32-bit hash of the user ID or anonymous ID
+ *    - `random` - new random UUIDv4 per hit, for anonymous hits
+ */
+
+var strategies = clientId.strategies = {
+  uuid: function(facade){
+    var id = facade.anonymousId() || facade.userId();
+    if (!id) return strategies.random(facade);
+    return uuid(crypto.createHash('md5').update(String(id)).digest('hex'));
+  },
+
+  hash: function(facade){
+    return hash(facade.userId() || facade.anonymousId());
+  },
+
+  random: function(){
+    return uuid(crypto.randomBytes(16).toString('hex'));
+  }
+};
+
+/**
+ * Get the client ID of `facade`.
+ *
+ * An explicit `options['Google Analytics'].clientId` wins, followed by the
+ * `_ga` cookie in `context.cookies` so that server-side hits stitch to the
+ * browser's session, and finally `settings.clientIdStrategy`.
+ *
+ * @api public
+ * @param {Facade} facade
+ * @param {Object} settings
+ * @return {String|Number}
+ */
+
+function clientId(facade, settings){
+  var options = facade.options('Google Analytics');
+  if (options && is.string(options.clientId)) return options.clientId;
+
+  var cookie = parseCookie(facade.proxy('context.cookies._ga'));
+  if (cookie) return cookie;
+
+  var strategy = strategies[settings.clientIdStrategy] || strategies.uuid;
+  return strategy(facade);
+}
+
+/**
+ * Parse the client ID out of an analytics.js `_ga` cookie.
+ *
+ * Example:
+ *
+ *    parseCookie('GA1.2.1033501218.1368477899');
+ *    // => '1033501218.1368477899'
+ *
+ * @api private
+ * @param {String} cookie
+ * @return {String|undefined}
+ */
+
+function parseCookie(cookie){
+  if (!is.string(cookie)) return;
+  var match = cookie.match(/^(?:GA\d+\.\d+\.)?(\d+\.\d+)$/);
+  if (match) return match[1];
+}
+
+/**
+ * Format 32 hex chars as a version 4 UUID.
+ *
+ * @api private
+ * @param {String} hex
+ * @return {String}
+ */
+
+function uuid(hex){
+  var variant = (parseInt(hex[16], 16) & 0x3 | 0x8).toString(16);
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    '4' + hex.slice(13, 16),
+    variant + hex.slice(17, 20),
+    hex.slice(20, 32)
+  ].join('-');
+}
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var patterns = require('./patterns');
+var hash = require('string-hash');
+var fmt = require('util').format;
+var is = require('is');
+
+/**
+ * Sampling buckets.
+ */
+
+var BUCKETS = 10000;
+
+/**
+ * Expose `filter`
+ */
+
+module.exports = filter;
+filter.consented = consented;
+
+/**
+ * Get the reason `message` shouldn't be sent, if any.
+ *
+ *    - `consentPolicy` - "skip" (default) messages denied analytics consent,
+ *      or "anonymous" to send them anonymized
+ *    - `typeDenylist` - message types to drop, e.g. `['identify']`
+ *    - `eventAllowlist` - only send these events
+ *    - `eventDenylist` - never send these events
+ *    - `sampleRate` - share of users to send events of, 0 to 1
+ *    - `eventSampleRates` - `sampleRate` by event name
+ *
+ * Event lists hold event names or `/regexp/flags` strings. Sampling
+ * hashes the user so a user is consistently in or out of the sample.
+ *
+ * @api public
+ * @param {Facade} message
+ * @param {Object} settings
+ * @return {String|undefined}
+ */
+
+function filter(message, settings){
+  var type = message.type();
+  if (!consented(message) && 'anonymous' != settings.consentPolicy) return 'analytics consent is denied';
+  if (contains(settings.typeDenylist, type)) return fmt('type "%s" is denied', type);
+  if ('track' != type) return;
+
+  var event = message.event();
+  var allow = settings.eventAllowlist;
+  if (is.array(allow) && allow.length && !matches(allow, event)) {
+    return fmt('event "%s" is not allowed', event);
+  }
+
+  if (matches(settings.eventDenylist, event)) return fmt('event "%s" is denied', event);
+
+  var rates = settings.eventSampleRates || {};
+  var rate = rates.hasOwnProperty(event) ? rates[event] : settings.sampleRate;
+  if (rate != null && !sampled(message, rate)) return fmt('event "%s" is sampled out', event);
+}
+
+/**
+ * Check whether the user of `message` consented to analytics, that is
+ * unless `context.consent.analytics` is `false`.
+ *
+ * @api public
+ * @param {Facade} message
+ * @return {Boolean}
+ */
+
+function consented(message){
+  return message.proxy('context.consent.analytics') !== false;
+}
+
+/**
+ * Check whether `list` contains `value`.
+ *
+ * @api private
+ * @param {Array} list
+ * @param {String} value
+ * @return {Boolean}
+ */
+
+function contains(list, value){
+  return is.array(list) && list.indexOf(value) != -1;
+}
+
+/**
+ * Check whether `event` matches any of the patterns of `list`,
+ * compiled or not.
+ *
+ * @api private
+ * @param {Array} list
+ * @param {String} event
+ * @return {Boolean}
+ */
+
+function matches(list, event){
+  if (!is.array(list)) return false;
+  return list.some(function(pattern){
+    pattern = patterns.event(pattern);
+    if (is.regexp(pattern)) return pattern.test(event);
+    return pattern === event;
+  });
+}
+
+/**
+ * Check whether the user of `message` is in a sample of `rate`.
+ *
+ * @api private
+ * @param {Facade} message
+ * @param {Number} rate
+ * @return {Boolean}
+ */
+
+function sampled(message, rate){
+  var id = message.userId() || message.anonymousId();
+  return hash(String(id)) % BUCKETS < rate * BUCKETS;
+}
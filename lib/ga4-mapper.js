@@ -0,0 +1,386 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var Track = require('segmentio-facade').Track;
+var clientId = require('./client-id');
+var consented = require('./filter').consented;
+var extend = require('lodash.assign');
+var is = require('is');
+
+/**
+ * Max params per event.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/ga4/sending-events#limitations
+ */
+
+var MAX_PARAMS = 25;
+
+/**
+ * GA4 recommended events by (lowercased) Segment spec event name,
+ * each maps the track call to the recommended event params.
+ *
+ * https://developers.google.com/analytics/devguides/collection/ga4/reference/events
+ */
+
+var events = {
+  'products searched': ['search', search],
+  'product viewed': ['view_item', product],
+  'viewed product': ['view_item', product],
+  'product added': ['add_to_cart', product],
+  'added product': ['add_to_cart', product],
+  'cart viewed': ['view_cart', cart],
+  'viewed cart': ['view_cart', cart],
+  'checkout started': ['begin_checkout', cart],
+  'started checkout': ['begin_checkout', cart],
+  'payment info entered': ['add_payment_info', paymentInfo],
+  'order completed': ['purchase', order],
+  'completed order': ['purchase', order],
+  'order refunded': ['refund', refund],
+  'refunded order': ['refund', refund],
+  'promotion clicked': ['select_promotion', promotion],
+  'clicked promotion': ['select_promotion', promotion]
+};
+
+/**
+ * Spec properties consumed by the recommended events, these aren't
+ * repeated as custom params.
+ */
+
+var reserved = [
+  'products',
+  'query',
+  'order_id',
+  'checkout_id',
+  'cart_id',
+  'product_id',
+  'promotion_id',
+  'id',
+  'sku',
+  'name',
+  'category',
+  'brand',
+  'variant',
+  'price',
+  'quantity',
+  'coupon',
+  'value',
+  'revenue',
+  'total',
+  'tax',
+  'shipping',
+  'currency',
+  'affiliation',
+  'payment_method',
+  'creative',
+  'position'
+];
+
+/**
+ * Map page msg to a `page_view` event.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/ga4/reference/events
+ *
+ * @api public
+ * @param {Page} page
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.page = function(page, settings){
+  var params = {};
+  var url = page.proxy('properties.url') || page.proxy('context.page.url');
+  var ref = page.referrer();
+  if (is.string(url)) params.page_location = url;
+  if (page.fullName()) params.page_title = page.fullName();
+  if (ref) params.page_referrer = ref;
+
+  return createPayload(page, settings, 'page_view', params);
+};
+
+/**
+ * Map screen msg to a `screen_view` event.
+ *
+ * @api public
+ * @param {Screen} screen
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.screen = function(screen, settings){
+  var params = {};
+  if (screen.name()) params.screen_name = screen.name();
+
+  return createPayload(screen, settings, 'screen_view', params);
+};
+
+/**
+ * Map track msg.
+ *
+ * Segment spec ecommerce events are mapped to GA4 recommended events,
+ * with `items[]` built from the products. Every other event is sent
+ * snake_cased, and other properties are sent as snake_cased params.
+ *
+ * @api public
+ * @param {Track} track
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.track = function(track, settings){
+  var event = events[track.event().toLowerCase()];
+  if (!event) {
+    var params = createParams(track.properties(), [], MAX_PARAMS);
+    return createPayload(track, settings, snakeCase(track.event()), params);
+  }
+
+  var recommended = event[1](track);
+  var count = Object.keys(recommended).length;
+  var custom = createParams(track.properties(), reserved, MAX_PARAMS - count);
+  return createPayload(track, settings, event[0], extend(custom, recommended));
+};
+
+/**
+ * Params of `search`.
+ *
+ * @api private
+ * @param {Track} track
+ * @return {Object}
+ */
+
+function search(track){
+  return { search_term: track.proxy('properties.query') };
+}
+
+/**
+ * Params of single product events, `view_item` and `add_to_cart`.
+ *
+ * @api private
+ * @param {Track} track
+ * @return {Object}
+ */
+
+function product(track){
+  var params = {};
+  var price = track.price();
+  var value = track.value() || (price != null ? price * track.quantity() : null);
+
+  params.currency = track.currency();
+  if (value != null) params.value = value;
+  params.items = createItems([track.properties()]);
+  return params;
+}
+
+/**
+ * Params of cart events, `view_cart` and `begin_checkout`.
+ *
+ * @api private
+ * @param {Track} track
+ * @return {Object}
+ */
+
+function cart(track){
+  var params = {};
+  var value = track.value() || track.revenue() || track.total();
+  var coupon = track.coupon();
+
+  params.currency = track.currency();
+  if (value != null) params.value = value;
+  if (coupon) params.coupon = coupon;
+  params.items = createItems(track.products());
+  return params;
+}
+
+/**
+ * Params of `add_payment_info`.
+ *
+ * @api private
+ * @param {Track} track
+ * @return {Object}
+ */
+
+function paymentInfo(track){
+  var params = cart(track);
+  var type = track.proxy('properties.paymentMethod');
+  if (type) params.payment_type = type;
+  return params;
+}
+
+/**
+ * Params of `purchase`.
+ *
+ * @api private
+ * @param {Track} track
+ * @return {Object}
+ */
+
+function order(track){
+  var params = {};
+  var coupon = track.coupon();
+  var affiliation = track.proxy('properties.affiliation');
+
+  params.transaction_id = track.orderId();
+  params.value = track.revenue();
+  params.currency = track.currency();
+  if (track.tax() != null) params.tax = track.tax();
+  if (track.shipping() != null) params.shipping = track.shipping();
+  if (affiliation) params.affiliation = affiliation;
+  if (coupon) params.coupon = coupon;
+  params.items = createItems(track.products());
+  return params;
+}
+
+/**
+ * Params of `refund`, partial refunds list the refunded items.
+ *
+ * @api private
+ * @param {Track} track
+ * @return {Object}
+ */
+
+function refund(track){
+  var params = {};
+  var value = track.revenue() || track.total();
+
+  params.transaction_id = track.orderId();
+  params.currency = track.currency();
+  if (value != null) params.value = value;
+  if (track.products().length) params.items = createItems(track.products());
+  return params;
+}
+
+/**
+ * Params of `select_promotion`.
+ *
+ * @api private
+ * @param {Track} track
+ * @return {Object}
+ */
+
+function promotion(track){
+  var params = {};
+  var id = track.proxy('properties.promotionId') || track.id();
+  var creative = track.proxy('properties.creative');
+  var position = track.proxy('properties.position');
+
+  if (id) params.promotion_id = id;
+  if (track.name()) params.promotion_name = track.name();
+  if (creative) params.creative_name = creative;
+  if (position != null) params.creative_slot = String(position);
+  return params;
+}
+
+/**
+ * Create the request body sending event `name` with `params`.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/ga4/reference#payload
+ *
+ * Messages denied analytics consent are sent without `user_id`
+ * and with a random client id.
+ *
+ * @api private
+ * @param {Facade} facade
+ * @param {Object} settings
+ * @param {String} name
+ * @param {Object} params
+ * @return {Object}
+ */
+
+function createPayload(facade, settings, name, params){
+  var payload = {};
+  var timestamp = facade.timestamp();
+  var anonymous = !consented(facade);
+  var cid = anonymous ? clientId.strategies.random(facade) : clientId(facade, settings);
+
+  payload.client_id = String(cid);
+  if (settings.sendUserId && facade.userId() && !anonymous) payload.user_id = facade.userId();
+  if (timestamp) payload.timestamp_micros = new Date(timestamp).getTime() * 1000;
+  payload.events = [{ name: name, params: params }];
+
+  return payload;
+}
+
+/**
+ * Create event params from `properties`, only keeping scalar
+ * values not in `exclude` and at most `max` of them.
+ *
+ * @api private
+ * @param {Object} properties
+ * @param {String[]} exclude
+ * @param {Number} max
+ * @return {Object}
+ */
+
+function createParams(properties, exclude, max){
+  var params = {};
+  var count = 0;
+
+  for (var key in properties) {
+    var value = properties[key];
+    var name = snakeCase(key);
+    if (count >= max) break;
+    if (~exclude.indexOf(name)) continue;
+    if (is.boolean(value)) value = value.toString();
+    if (!is.string(value) && !is.number(value)) continue;
+    params[name] = value;
+    count++;
+  }
+
+  return params;
+}
+
+/**
+ * Create GA4 `items[]` from Segment `products`.
+ *
+ * @api private
+ * @param {Object[]} products
+ * @return {Object[]}
+ */
+
+function createItems(products){
+  return products.map(function(properties){
+    var product = new Track({ properties: properties });
+    var variant = product.proxy('properties.variant');
+    var brand = product.proxy('properties.brand');
+    var id = product.id() || product.sku();
+    var coupon = product.coupon();
+    var price = product.price();
+    var item = {};
+
+    if (id) item.item_id = id;
+    if (product.name()) item.item_name = product.name();
+    if (product.category()) item.item_category = product.category();
+    if (brand) item.item_brand = brand;
+    if (variant) item.item_variant = variant;
+    if (coupon) item.coupon = coupon;
+    if (price != null) item.price = price;
+    item.quantity = product.quantity();
+
+    return item;
+  });
+}
+
+/**
+ * Snake case `str` into a valid GA4 event or param name, at most
+ * 40 alphanumeric or underscore characters starting with a letter.
+ *
+ * Example:
+ *
+ *    snakeCase('Signed Up'); // => 'signed_up'
+ *    snakeCase('numLayers'); // => 'num_layers'
+ *
+ * @api private
+ * @param {String} str
+ * @return {String}
+ */
+
+function snakeCase(str){
+  return String(str)
+    .replace(/([a-z\d])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z\d]+/g, '_')
+    .replace(/^[^a-zA-Z]+|_+$/g, '')
+    .toLowerCase()
+    .slice(0, 40);
+}
@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var integration = require('segmentio-integration');
+var Limiter = require('./limiter');
+var mapper = require('./ga4-mapper');
+var retry = require('./retry');
+var scrub = require('./scrub');
+var fmt = require('util').format;
+var qs = require('querystring');
+
+/**
+ * Expose `GA`
+ */
+
+var GA = module.exports = integration('Google Analytics')
+  .endpoint('https://www.google-analytics.com/mp/collect');
+
+/**
+ * Initialize.
+ *
+ * Requests are limited and retried like universal hits,
+ * keyed by measurement ID.
+ *
+ * @api private
+ */
+
+GA.prototype.initialize = function(){
+  this.limiter = new Limiter({
+    rate: this.settings.hitsPerSecond,
+    burst: this.settings.hitBurst,
+    concurrency: this.settings.maxConcurrentRequests
+  });
+};
+
+/**
+ * Track.
+ *
+ * @param {Track} track
+ * @param {Function} fn
+ */
+
+GA.prototype.track = function(track, fn){
+  var payload = mapper.track(track, this.settings);
+  return this.send(payload, fn);
+};
+
+/**
+ * Page.
+ *
+ * @param {Page} page
+ * @param {Function} fn
+ */
+
+GA.prototype.page = function(page, fn){
+  var payload = mapper.page(page, this.settings);
+  return this.send(payload, fn);
+};
+
+/**
+ * Screen.
+ *
+ * @param {Screen} screen
+ * @param {Function} fn
+ */
+
+GA.prototype.screen = function(screen, fn){
+  var payload = mapper.screen(screen, this.settings);
+  return this.send(payload, fn);
+};
+
+/**
+ * Build the request `message` would be sent as, without sending it:
+ * `{ endpoint, method, headers, query, body }` with the JSON body.
+ *
+ * @api public
+ * @param {Facade} message
+ * @return {Object[]}
+ */
+
+GA.prototype.preview = function(message){
+  var type = message.type();
+  if (!mapper[type]) return [];
+  var scrubbed = scrub.ga4(mapper[type](message, this.settings), this.settings);
+  if (scrubbed.drop) return [];
+
+  return [{
+    endpoint: this.endpoint,
+    method: 'POST',
+    headers: {
+      'User-Agent': 'Segment.io/1.0',
+      'Content-Type': 'application/json'
+    },
+    query: qs.stringify({
+      measurement_id: this.settings.measurementId,
+      api_secret: this.settings.apiSecret
+    }),
+    body: JSON.stringify(scrubbed.payload)
+  }];
+};
+
+/**
+ * Send `payload` to the GA4 Measurement Protocol.
+ *
+ * PII is scrubbed first like hits, emitting "scrub" with the number
+ * of matches, and payloads the `piiPolicy` drops are skipped. The
+ * number is also reported to `fn` as `res.scrubbed`.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/ga4/sending-events
+ *
+ * @param {Object} payload
+ * @param {Function} fn
+ */
+
+GA.prototype.send = function(payload, fn){
+  var name = payload.events[0].name;
+  var scrubbed = scrub.ga4(payload, this.settings);
+  var count = scrubbed.count;
+  if (count) this.emit('scrub', count, name);
+  if (scrubbed.drop) return setImmediate(fn, null, { skipped: true, reason: fmt('%s event contains pii', name), scrubbed: count });
+  payload = scrubbed.payload;
+
+  var self = this;
+  return this.deliver(function(done){
+    self
+      .post()
+      .query({ measurement_id: self.settings.measurementId })
+      .query({ api_secret: self.settings.apiSecret })
+      .type('json')
+      .send(payload)
+      .end(self.handle(done));
+  }, [payload], function(err, res){
+    fn(err, scrub.report(res, count));
+  });
+};
+
+/**
+ * Run `request(done)` sending `payloads` once the limiter allows it,
+ * retrying transient errors with backoff like universal hits.
+ *
+ * @param {Function} request
+ * @param {Object[]} payloads
+ * @param {Function} fn
+ */
+
+GA.prototype.deliver = function(request, payloads, fn){
+  var limiter = this.limiter;
+  var hits = {};
+  hits[this.settings.measurementId] = payloads.length;
+  retry({
+    retries: this.settings.retries,
+    minDelay: this.settings.retryMinDelay,
+    maxDelay: this.settings.retryMaxDelay
+  }, function(done){
+    limiter.schedule(hits, request, done);
+  }, fn);
+};
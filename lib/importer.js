@@ -0,0 +1,274 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var readline = require('readline');
+var Facade = require('segmentio-facade');
+var extend = require('lodash.assign');
+var fmt = require('util').format;
+var is = require('is');
+var GA = require('./');
+
+/**
+ * Max messages in flight.
+ */
+
+var CONCURRENCY = 10;
+
+/**
+ * Content types by superagent shorthand.
+ */
+
+var types = {
+  form: 'application/x-www-form-urlencoded',
+  json: 'application/json'
+};
+
+/**
+ * Response to dry run requests, a valid hit for the validation server.
+ */
+
+var response = {
+  status: 200,
+  body: { hitParsingResult: [{ valid: true, parserMessage: [] }] },
+  text: ''
+};
+
+/**
+ * Facades by message type.
+ */
+
+var facades = {
+  identify: Facade.Identify,
+  group: Facade.Group,
+  track: Facade.Track,
+  page: Facade.Page,
+  screen: Facade.Screen
+};
+
+/**
+ * Send the newline delimited JSON Segment messages of `input` through
+ * the integration with `settings`, then call `fn(err, counts)` with
+ * the `sent`, `skipped` and `failed` counts.
+ *
+ * Hits too old for GA are rejected rather than clamped, unless
+ * `settings.queueTimePolicy` says otherwise, and counted as skipped
+ * along with the messages the integration skips. Other rejections
+ * count as failed, and invalid settings fail before any input is read.
+ *
+ *    - `dryRun` - write the requests to `output` instead of sending them
+ *    - `output` - stream for dry run requests, one JSON object per line
+ *    - `errors` - stream to report failed and skipped lines on
+ *
+ * @api public
+ * @param {Stream} input
+ * @param {Object} settings
+ * @param {Object} options
+ * @param {Function} fn
+ */
+
+module.exports = function(input, settings, options, fn){
+  settings = extend({ queueTimePolicy: 'drop' }, settings);
+  var err = GA.validate(new Facade.Track({}), settings);
+  if (err) return setImmediate(fn, err);
+
+  var counts = { sent: 0, skipped: 0, failed: 0 };
+  var lines = readline.createInterface({ input: input });
+  var ga = new GA(settings);
+  var pending = 0;
+  var ended = false;
+  var n = 0;
+
+  if (options.dryRun) dryRun(ga, options.output);
+
+  lines.on('line', function(line){
+    var lineno = ++n;
+    if (!line.trim()) return;
+
+    pending++;
+    if (pending >= CONCURRENCY) lines.pause();
+
+    send(ga, settings, line, function(err, res){
+      if (res && res.skipped) {
+        counts.skipped++;
+        report(options.errors, lineno, 'skipped', res.reason);
+      } else if (err && err.expired) {
+        counts.skipped++;
+        report(options.errors, lineno, 'skipped', err.message);
+      } else if (err) {
+        counts.failed++;
+        report(options.errors, lineno, 'failed', err.message);
+      } else {
+        counts.sent++;
+      }
+
+      if (--pending < CONCURRENCY) lines.resume();
+      if (ended && !pending) fn(null, counts);
+    });
+  });
+
+  lines.on('close', function(){
+    ended = true;
+    ga.flush();
+    if (!pending) fn(null, counts);
+  });
+};
+
+/**
+ * Send the JSON message `line` through `ga`, validated against
+ * the `settings` it was created with.
+ *
+ * @api private
+ * @param {GA} ga
+ * @param {Object} settings
+ * @param {String} line
+ * @param {Function} fn
+ */
+
+function send(ga, settings, line, fn){
+  var msg;
+
+  try {
+    msg = JSON.parse(line);
+  } catch (e) {
+    return setImmediate(fn, e);
+  }
+
+  var Type = facades[msg.type];
+  if (!Type) return setImmediate(fn, null, { skipped: true, reason: fmt('type "%s" is not supported', msg.type) });
+
+  var facade = new Type(msg);
+  var err = GA.validate(facade, settings);
+  if (err) return setImmediate(fn, err);
+
+  ga[msg.type](facade, fn);
+}
+
+/**
+ * Make the receivers of `ga` write their requests to `output`
+ * instead of sending them.
+ *
+ * Requests are stubbed rather than the send methods, so every path,
+ * like validation server hits with `settings.debug`, stays offline.
+ *
+ * @api private
+ * @param {GA} ga
+ * @param {Stream} output
+ */
+
+function dryRun(ga, output){
+  [ga.universal, ga.classic, ga.ga4].forEach(function(receiver){
+    receiver.request = function(method, path){
+      var url = /^https?:/.test(path || '') ? path : receiver.endpoint + (path || '');
+      return new Request(output, method, url);
+    };
+  });
+}
+
+/**
+ * Initialize a dry run request of `method` to `url`, written
+ * to `output` as JSON once ended.
+ *
+ * @api private
+ * @param {Stream} output
+ * @param {String} method
+ * @param {String} url
+ */
+
+function Request(output, method, url){
+  this.output = output;
+  this.req = { method: method.toUpperCase(), url: url, headers: {}, query: {} };
+}
+
+/**
+ * Set header `field` to `value`, or an object of headers.
+ *
+ * @api private
+ * @param {String|Object} field
+ * @param {String} value
+ * @return {Request}
+ */
+
+Request.prototype.set = function(field, value){
+  if (is.object(field)) extend(this.req.headers, field);
+  else this.req.headers[field] = value;
+  return this;
+};
+
+/**
+ * Set the Content-Type to `type`.
+ *
+ * @api private
+ * @param {String} type
+ * @return {Request}
+ */
+
+Request.prototype.type = function(type){
+  this.req.headers['Content-Type'] = types[type] || type;
+  return this;
+};
+
+/**
+ * Add `query` to the querystring.
+ *
+ * @api private
+ * @param {Object} query
+ * @return {Request}
+ */
+
+Request.prototype.query = function(query){
+  extend(this.req.query, query);
+  return this;
+};
+
+/**
+ * Set the request `body`.
+ *
+ * @api private
+ * @param {Mixed} body
+ * @return {Request}
+ */
+
+Request.prototype.send = function(body){
+  this.req.body = body;
+  return this;
+};
+
+/**
+ * Buffer the response, a noop.
+ *
+ * @api private
+ * @return {Request}
+ */
+
+Request.prototype.buffer = function(){
+  return this;
+};
+
+/**
+ * Write the request and call `fn(null, res)` with a successful response.
+ *
+ * @api private
+ * @param {Function} fn
+ */
+
+Request.prototype.end = function(fn){
+  this.output.write(JSON.stringify(this.req) + '\n');
+  setImmediate(fn, null, response);
+};
+
+/**
+ * Report a failed or skipped line on `stream`, if any.
+ *
+ * @api private
+ * @param {Stream} stream
+ * @param {Number} lineno
+ * @param {String} status
+ * @param {String} reason
+ */
+
+function report(stream, lineno, status, reason){
+  if (stream) stream.write(fmt('line %d %s: %s\n', lineno, status, reason));
+}
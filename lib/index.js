@@ -7,6 +7,9 @@
 var integration = require('segmentio-integration');
 var Universal = require('./universal');
 var Classic = require('./classic');
+var patterns = require('./patterns');
+var filter = require('./filter');
+var GA4 = require('./ga4');
 
 /**
  * Expose `GA`
@@ -16,45 +19,138 @@ var GA = module.exports = integration('Google Analytics')
   .channels(['server']);
 
 /**
- * We require either a server side or mobile tracking ID
+ * We require either a server side or mobile tracking ID,
+ * or a measurement ID and API secret for GA4.
  */
 
 GA.ensure(function(msg, settings){
+  if (settings.serversideGA4) {
+    if (settings.measurementId && settings.apiSecret) return;
+    return this.reject('Must set measurement ID and API secret for GA4');
+  }
+
   if (settings.serversideTrackingId || settings.mobileTrackingId) return;
   return this.reject('Must set either server-side or mobile tracking ID');
 });
 
+/**
+ * Only universal hits are spooled, GA4 and classic requests
+ * would be lost with a dead letter file.
+ */
+
+GA.ensure(function(msg, settings){
+  if (!settings.deadLetterFile) return;
+  if (settings.serversideGA4 || settings.serversideClassic) {
+    return this.reject('deadLetterFile is only supported for universal analytics');
+  }
+});
+
+/**
+ * Event list, rule and PII patterns must be valid regexps.
+ */
+
+GA.ensure(function(msg, settings){
+  var reason = patterns.check(settings);
+  if (reason) return this.reject(reason);
+});
+
 /**
  * Initialize
  *
+ * Compiles the patterns of the settings once, for the receivers,
+ * and re-emits the "scrub" events of the receivers.
+ *
  * @api private
  */
 
 GA.prototype.initialize = function(){
+  this.settings = patterns.compile(this.settings);
   this.classic = new Classic(this.settings);
   this.universal = new Universal(this.settings);
+  this.ga4 = new GA4(this.settings);
+  this.classic.on('scrub', this.emit.bind(this, 'scrub'));
+  this.universal.on('scrub', this.emit.bind(this, 'scrub'));
+  this.ga4.on('scrub', this.emit.bind(this, 'scrub'));
 };
 
 /**
  * Methods
  */
 
+GA.prototype.identify = proxy('identify');
+GA.prototype.group = proxy('group');
 GA.prototype.track = proxy('track');
 GA.prototype.page = proxy('page');
 GA.prototype.screen = proxy('screen');
 
 /**
- * Proxy the method to classic or universal analytics.
+ * Flush any hits queued for the `/batch` endpoint.
+ *
+ * @api public
+ */
+
+GA.prototype.flush = function(){
+  this.universal.flush();
+};
+
+/**
+ * Replay the hits of the dead-letter spool, only universal
+ * hits are spooled.
+ *
+ * @api public
+ * @param {Function} fn
+ */
+
+GA.prototype.replay = function(fn){
+  this.universal.replay(fn);
+};
+
+/**
+ * Build the requests `message` would be sent as by the selected
+ * receiver, without sending them, for asserting on the wire format.
+ *
+ * Each request is `{ endpoint, method, headers }` with the encoded
+ * `query` or `body`, messages filtered out by the settings have none.
+ *
+ * @api public
+ * @param {Facade} message
+ * @return {Object[]}
+ */
+
+GA.prototype.preview = function(message){
+  if (filter(message, this.settings)) return [];
+  return this.receiver().preview(message);
+};
+
+/**
+ * Get the receiver selected by the settings.
+ *
+ * @api private
+ * @return {Integration}
+ */
+
+GA.prototype.receiver = function(){
+  if (this.settings.serversideGA4) return this.ga4;
+  if (this.settings.serversideClassic) return this.classic;
+  return this.universal;
+};
+
+/**
+ * Proxy the method to GA4, classic or universal analytics.
+ *
+ * Messages filtered out by the settings are skipped, calling back
+ * with `{ skipped: true, reason: '...' }` instead of a response.
+ *
  * @param  {String}   method  ('track', 'identify', etc.)
  * @return {Function}         the function to use
  */
 
 function proxy(method){
   return function(message, fn){
-    var receiver = this.settings.serversideClassic 
-      ? this.classic 
-      : this.universal;
-      
+    var reason = filter(message, this.settings);
+    if (reason) return setImmediate(fn, null, { skipped: true, reason: reason });
+
+    var receiver = this.receiver();
     return 'function' === typeof receiver[method]
       ? receiver[method](message, fn)
       : setImmediate(fn);
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Expose `Limiter`
+ */
+
+module.exports = Limiter;
+
+/**
+ * Initialize a new `Limiter`.
+ *
+ * Requests are keyed by tracking ID, each key has a token bucket of
+ * `options.burst` hits refilled at `options.rate` hits per second, and
+ * at most `options.concurrency` requests run at once across keys.
+ * Requests over the limits wait in line instead of failing.
+ *
+ * Without options nothing is limited.
+ *
+ * @api public
+ * @param {Object} options
+ * @param {Number} options.rate hits per second per key
+ * @param {Number} options.burst bucket size, defaults to `rate`
+ * @param {Number} options.concurrency max requests in flight
+ */
+
+function Limiter(options){
+  options = options || {};
+  this.rate = options.rate || Infinity;
+  this.burst = options.burst || options.rate || Infinity;
+  this.concurrency = options.concurrency || Infinity;
+  this.buckets = {};
+  this.pending = [];
+  this.active = 0;
+  this.timer = null;
+}
+
+/**
+ * Run `task(done)` once the limits allow it, then call `fn(err, res)`
+ * with its result. `hits` is the number of hits the task sends by key,
+ * they are all taken at once, capped at the burst of a key.
+ *
+ * Tasks run in order per key, so a task waiting for tokens isn't
+ * overtaken by later, smaller tasks of the same keys.
+ *
+ * Example:
+ *
+ *    limiter.schedule({ 'UA-1-1': 2, 'UA-2-1': 1 }, send, fn);
+ *
+ * @api public
+ * @param {Object} hits
+ * @param {Function} task
+ * @param {Function} fn
+ */
+
+Limiter.prototype.schedule = function(hits, task, fn){
+  var capped = {};
+  for (var key in hits) capped[key] = Math.min(hits[key], this.burst);
+  this.pending.push({ hits: capped, task: task, fn: fn });
+  this.drain();
+};
+
+/**
+ * Run the pending tasks the limits allow, in order, and wait for
+ * tokens to refill for the others. Keys of waiting tasks are blocked
+ * for the tasks after them.
+ *
+ * @api private
+ */
+
+Limiter.prototype.drain = function(){
+  var blocked = {};
+  var wait = Infinity;
+  var i = 0;
+
+  while (i < this.pending.length && this.active < this.concurrency) {
+    var item = this.pending[i];
+    var keys = Object.keys(item.hits);
+    var behind = keys.some(function(key){ return blocked[key]; });
+    var ms = behind ? 0 : this.wait(item.hits);
+
+    if (behind || ms) {
+      if (ms) wait = Math.min(wait, ms);
+      keys.forEach(function(key){ blocked[key] = true; });
+      i++;
+      continue;
+    }
+
+    this.take(item.hits);
+    this.pending.splice(i, 1);
+    this.run(item);
+  }
+
+  if (wait == Infinity || this.timer) return;
+  this.timer = setTimeout(function(){
+    this.timer = null;
+    this.drain();
+  }.bind(this), Math.ceil(wait));
+};
+
+/**
+ * Run the task of `item`.
+ *
+ * @api private
+ * @param {Object} item
+ */
+
+Limiter.prototype.run = function(item){
+  var self = this;
+  this.active++;
+  item.task(function(err, res){
+    self.active--;
+    item.fn(err, res);
+    self.drain();
+  });
+};
+
+/**
+ * Get the ms to wait until every key has tokens for its `hits`,
+ * refilling the buckets first.
+ *
+ * @api private
+ * @param {Object} hits
+ * @return {Number}
+ */
+
+Limiter.prototype.wait = function(hits){
+  if (this.rate == Infinity) return 0;
+  var ms = 0;
+
+  for (var key in hits) {
+    var bucket = this.bucket(key);
+    if (bucket.tokens < hits[key]) ms = Math.max(ms, (hits[key] - bucket.tokens) * 1000 / this.rate);
+  }
+
+  return ms;
+};
+
+/**
+ * Take the tokens of `hits` by key.
+ *
+ * @api private
+ * @param {Object} hits
+ */
+
+Limiter.prototype.take = function(hits){
+  if (this.rate == Infinity) return;
+  for (var key in hits) this.bucket(key).tokens -= hits[key];
+};
+
+/**
+ * Get the refilled token bucket of `key`.
+ *
+ * @api private
+ * @param {String} key
+ * @return {Object}
+ */
+
+Limiter.prototype.bucket = function(key){
+  var now = Date.now();
+  var bucket = this.buckets[key] || { tokens: this.burst, time: now };
+  bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.time) * this.rate / 1000);
+  bucket.time = now;
+  this.buckets[key] = bucket;
+  return bucket;
+};
@@ -5,12 +5,76 @@
  */
 
 var Track = require('segmentio-facade').Track;
+var clientId = require('./client-id');
+var consented = require('./filter').consented;
+var countries = require('./countries');
 var extend = require('lodash.assign');
+var rules = require('./rules');
 var fmt = require('util').format;
-var hash = require('string-hash');
 var is = require('is');
 var lookup = require('obj-case');
 var parse = require('url').parse;
+var net = require('net');
+var format = require('url').format;
+var qs = require('querystring');
+
+/**
+ * Min queue time to send, and max queue time GA processes.
+ */
+
+var MIN_QUEUE_TIME = 1000;
+var MAX_QUEUE_TIME = 4 * 60 * 60 * 1000;
+
+/**
+ * Campaign fields by query param, read from the page url when the
+ * message has no `context.campaign`.
+ */
+
+var params = {
+  name: 'utm_campaign',
+  source: 'utm_source',
+  medium: 'utm_medium',
+  content: 'utm_content',
+  term: 'utm_term',
+  id: 'utm_id',
+  gclid: 'gclid',
+  dclid: 'dclid'
+};
+
+/**
+ * Default event names sent as timing, exception and social hits,
+ * `settings.timingEvents`, `.exceptionEvents` and `.socialEvents`
+ * replace them.
+ */
+
+var hitEvents = {
+  timing: ['Timing Completed'],
+  exception: ['Application Crashed'],
+  social: []
+};
+
+/**
+ * Params `options['Google Analytics']` may override per hit.
+ */
+
+var overrides = /^(cg[1-5]|cd\d+|cm\d+|ni|dl|dt|dh|dp|xid|xvar|tid)$/;
+
+/**
+ * Enhanced Ecommerce product actions by (lowercased) event name.
+ */
+
+var actions = {
+  'viewed product': 'detail',
+  'product viewed': 'detail',
+  'added product': 'add',
+  'product added': 'add',
+  'removed product': 'remove',
+  'product removed': 'remove',
+  'started checkout': 'checkout',
+  'checkout started': 'checkout',
+  'completed checkout step': 'checkout_option',
+  'checkout step completed': 'checkout_option'
+};
 
 /**
  * Map page msg.
@@ -24,15 +88,13 @@ var parse = require('url').parse;
  */
 
 exports.page = function(page, settings){
-  var result = createPageDataForm(page, createCommonGAForm(page, settings));
+  var result = createPageDataForm(page, settings, createCommonGAForm(page, settings));
   var ref = page.referrer();
   if (ref) result.dr = ref;
-  result.dt = page.fullName();
+  if (page.fullName()) result.dt = page.fullName();
   result.t = 'pageview';
 
-  if (typeof url !== 'string') return result;
-
-  return result;
+  return createOverridesForm(page, settings, result);
 };
 
 /**
@@ -51,7 +113,7 @@ exports.screen = function(screen, settings){
   result.cd = screen.name();
   result.t = 'screenview';
 
-  return result;
+  return createOverridesForm(screen, settings, result);
 };
 
 /**
@@ -59,6 +121,9 @@ exports.screen = function(screen, settings){
  *
  * https://developers.google.com/analytics/devguides/collection/protocol/v1/devguide#event
  *
+ * The event category, action, label and value can be
+ * rewritten per event by `settings.eventRules`.
+ *
  * @api public
  * @param {Page} track
  * @param {Object} settings
@@ -66,15 +131,59 @@ exports.screen = function(screen, settings){
  */
 
 exports.track = function(track, settings){
-  var result = createPageDataForm(track, createCommonGAForm(track, settings));
-  result.ev = Math.round(track.value() || track.revenue() || 0);
-  result.el = track.proxy('properties.label') || 'event';
-  result.ec = track.category() || 'All';
-  result.ea = track.event();
+  var result = createPageDataForm(track, settings, createCommonGAForm(track, settings));
+  var rule = rules(track, settings.eventRules) || {};
+  var value = rule.value != null ? rule.value : track.value() || track.revenue();
+  result.ev = Math.round(value || 0);
+  result.el = rule.label || track.proxy('properties.label') || 'event';
+  result.ec = rule.category || track.category() || 'All';
+  result.ea = rule.action || track.event();
   result.t = 'event';
   result.ni = track.proxy('properties.nonInteraction') || settings.nonInteraction;
 
-  return result;
+  if (settings.enhancedEcommerce) createProductActionForm(track, result);
+
+  return createOverridesForm(track, settings, result);
+};
+
+/**
+ * Map identify msg.
+ *
+ * Sends a non-interaction event (or `settings.identifyHitType`) carrying
+ * `uid`, with `settings.sendUserId`, and the traits mapped to custom dimensions and metrics, so that
+ * user-scoped dimensions get populated.
+ *
+ * @api public
+ * @param {Identify} identify
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.identify = function(identify, settings){
+  var result = createCommonGAForm(identify, settings);
+  createUserHitForm(identify, settings, result, settings.identifyHitType, 'Identify');
+
+  return createOverridesForm(identify, settings, result);
+};
+
+/**
+ * Map group msg.
+ *
+ * Sends a non-interaction event (or `settings.groupHitType`) carrying the
+ * group traits mapped to custom dimensions and metrics.
+ *
+ * @api public
+ * @param {Group} group
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.group = function(group, settings){
+  var result = createCommonGAForm(group, settings);
+  createUserHitForm(group, settings, result, settings.groupHitType, 'Group');
+  if ('event' == result.t) result.el = group.groupId();
+
+  return createOverridesForm(group, settings, result);
 };
 
 /**
@@ -90,6 +199,9 @@ exports.track = function(track, settings){
  *    - `tt` - transaction tax (.tax())
  *    - `cu` - currency code (.currency())
  *
+ * With `settings.enhancedEcommerce` a single Enhanced Ecommerce
+ * purchase hit is returned instead.
+ *
  * @api public
  * @param {Track} track
  * @param {Object} settings
@@ -97,11 +209,13 @@ exports.track = function(track, settings){
  */
 
 exports.completedOrder = function(track, settings){
+  if (settings.enhancedEcommerce) return [purchase(track, settings)];
+
   var currency = track.currency();
   var orderId = track.orderId();
   var products = track.products();
 
-  var transaction = createPageDataForm(track, createCommonGAForm(track, settings));
+  var transaction = createPageDataForm(track, settings, createCommonGAForm(track, settings));
   transaction.ta = track.proxy('properties.affiliation');
   transaction.ts = track.shipping();
   transaction.tr = track.revenue();
@@ -124,14 +238,220 @@ exports.completedOrder = function(track, settings){
     return item;
   });
 
-  return [transaction].concat(products);
+  return [transaction].concat(products).map(function(hit){
+    return createOverridesForm(track, settings, hit);
+  });
+};
+
+/**
+ * Map Refunded Order.
+ *
+ * Refunds only exist in Enhanced Ecommerce, so this is sent as
+ * a non-interaction event regardless of `settings.enhancedEcommerce`.
+ * A full refund only needs the transaction id, a partial refund also
+ * lists the refunded products and quantities. The event value is
+ * always 0, so refunds don't add to it.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/v1/devguide#measuring-refunds
+ *
+ *    - `pa` - product action (`refund`)
+ *    - `ti` - transaction id (.orderId())
+ *    - `tr` - refunded amount (.revenue() or .total())
+ *    - `prNid` - refunded product id (.products())
+ *    - `prNqt` - refunded product quantity (.products())
+ *
+ * @api public
+ * @param {Track} track
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.refundedOrder = function(track, settings){
+  var result = exports.track(track, settings);
+  var amount = track.revenue() || track.total();
+  result.ti = track.orderId();
+  result.pa = 'refund';
+  result.ni = 1;
+  result.ev = 0;
+  if (amount) result.tr = amount;
+
+  track.products().forEach(function(properties, i){
+    var product = new Track({ properties: properties });
+    var prefix = 'pr' + (i + 1);
+    result[prefix + 'id'] = product.id() || product.sku();
+    result[prefix + 'qt'] = product.quantity();
+  });
+
+  return createOverridesForm(track, settings, result);
+};
+
+/**
+ * Apply the queue time policy to `qt` ms.
+ *
+ * Hits sent within a second aren't considered delayed. GA doesn't process
+ * hits queued for more than 4 hours, they're clamped to 4 hours unless
+ * `settings.queueTimePolicy` is "drop", in which case the hit is left
+ * as is and rejected when validated.
+ *
+ * @api public
+ * @param {Number} qt
+ * @param {Object} settings
+ * @return {Number|undefined}
+ */
+
+exports.queueTime = function(qt, settings){
+  if (!(qt >= MIN_QUEUE_TIME)) return;
+  if (qt > MAX_QUEUE_TIME && 'drop' != settings.queueTimePolicy) qt = MAX_QUEUE_TIME;
+  return qt;
+};
+
+/**
+ * Get the hit type `track` is sent as other than an event, that is
+ * "timing", "exception" or "social" when its event is listed in the
+ * settings.
+ *
+ * @api public
+ * @param {Track} track
+ * @param {Object} settings
+ * @return {String|undefined}
+ */
+
+exports.hitType = function(track, settings){
+  var event = track.event();
+  return Object.keys(hitEvents).filter(function(type){
+    var events = settings[type + 'Events'] || hitEvents[type];
+    return is.array(events) && ~events.indexOf(event);
+  })[0];
+};
+
+/**
+ * Map track msg to a user timing hit.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/v1/devguide#usertiming
+ *
+ *    - `utc` - timing category (.category())
+ *    - `utv` - timing variable (.variable or .event())
+ *    - `utt` - timing time in ms (.time or .duration)
+ *    - `utl` - timing label (.label)
+ *
+ * @api public
+ * @param {Track} track
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.timing = function(track, settings){
+  var result = createPageDataForm(track, settings, createCommonGAForm(track, settings));
+  var time = track.proxy('properties.time') || track.proxy('properties.duration');
+  var label = track.proxy('properties.label');
+
+  result.utc = track.category() || 'All';
+  result.utv = track.proxy('properties.variable') || track.event();
+  result.utt = Math.round(time || 0);
+  if (label) result.utl = label;
+  result.t = 'timing';
+
+  return createOverridesForm(track, settings, result);
 };
 
+/**
+ * Map track msg to an exception hit.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/v1/devguide#exception
+ *
+ *    - `exd` - exception description (.description, .message or .event())
+ *    - `exf` - whether the exception was fatal (.fatal, defaults to `true`)
+ *
+ * @api public
+ * @param {Track} track
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.exception = function(track, settings){
+  var result = createPageDataForm(track, settings, createCommonGAForm(track, settings));
+  var description = track.proxy('properties.description') || track.proxy('properties.message');
+
+  result.exd = description || track.event();
+  result.exf = track.proxy('properties.fatal') === false ? 0 : 1;
+  result.t = 'exception';
+
+  return createOverridesForm(track, settings, result);
+};
+
+/**
+ * Map track msg to a social interaction hit.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/v1/devguide#social
+ *
+ *    - `sn` - social network (.network)
+ *    - `sa` - social action (.action or .event())
+ *    - `st` - social action target (.target or .url)
+ *
+ * @api public
+ * @param {Track} track
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.social = function(track, settings){
+  var result = createPageDataForm(track, settings, createCommonGAForm(track, settings));
+
+  result.sn = track.proxy('properties.network');
+  result.sa = track.proxy('properties.action') || track.event();
+  result.st = track.proxy('properties.target') || track.proxy('properties.url');
+  result.t = 'social';
+
+  return createOverridesForm(track, settings, result);
+};
+
+/**
+ * Map Completed Order to an Enhanced Ecommerce purchase.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/v1/devguide#enhancedecom
+ *
+ *    - `pa` - product action (`purchase`)
+ *    - `ti` - transaction id (.orderId())
+ *    - `ta` - transaction affiliation
+ *    - `tr` - transaction revenue (.revenue())
+ *    - `ts` - transaction shipping (.shipping())
+ *    - `tt` - transaction tax (.tax())
+ *    - `tcc` - transaction coupon (.coupon())
+ *    - `prN*` - products (.products())
+ *
+ * @api private
+ * @param {Track} track
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+function purchase(track, settings){
+  var result = exports.track(track, settings);
+  var coupon = track.coupon();
+
+  result.ta = track.proxy('properties.affiliation');
+  result.ts = track.shipping();
+  result.tr = track.revenue();
+  result.tt = track.tax();
+  result.cu = track.currency();
+  result.ti = track.orderId();
+  result.pa = 'purchase';
+  if (coupon) result.tcc = coupon;
+  createProductsForm(track.products(), result);
+
+  return createOverridesForm(track, settings, result);
+}
+
 /**
  * Create common GA form.
  *
  * https://developers.google.com/analytics/devguides/collection/protocol/v1/devguide#using-a-proxy-server
  *
+ * With `settings.anonymizeIp` the ip is truncated and sent with `aip`.
+ * Messages denied analytics consent (sent when `settings.consentPolicy`
+ * is "anonymous") are sent the same way, without `uid` and with a
+ * random client id.
+ *
  * @api private
  * @param {Object} track
  * @param {Object} settings
@@ -141,17 +461,14 @@ exports.completedOrder = function(track, settings){
 function createCommonGAForm(facade, settings){
   var library = facade.proxy('context.library');
   var trackingId = isMobile(library) ? settings.mobileTrackingId || settings.serversideTrackingId : settings.serversideTrackingId;
-  var cid = hash(facade.userId() || facade.anonymousId());
-  var campaign = facade.proxy('context.campaign') || {};
   var properties = facade.field('properties') || {};
   var screen = facade.proxy('context.screen') || {};
   var locale = facade.proxy('context.locale');
   var app = facade.proxy('context.app') || {};
+  var anonymous = !consented(facade);
+  var cid = anonymous ? clientId.strategies.random(facade) : clientId(facade, settings);
   var traits = facade.traits();
 
-  var options = facade.options('Google Analytics');
-  if (options && is.string(options.clientId)) cid = options.clientId;
-
   var form = extend(
     metrics(traits, settings),
     metrics(properties, settings)
@@ -161,16 +478,28 @@ function createCommonGAForm(facade, settings){
   form.v = 1;
 
   // campaign
+  var campaign = attribution(facade);
   if (campaign.name) form.cn = campaign.name;
   if (campaign.source) form.cs = campaign.source;
   if (campaign.medium) form.cm = campaign.medium;
   if (campaign.content) form.cc = campaign.content;
+  if (campaign.term) form.ck = campaign.term;
+  if (campaign.id) form.ci = campaign.id;
+  if (campaign.gclid) form.gclid = campaign.gclid;
+  if (campaign.dclid) form.dclid = campaign.dclid;
 
   // screen
   if (screen.height && screen.width) {
     form.sr = fmt('%sx%s', screen.width, screen.height);
   }
 
+  // device
+  createDeviceForm(facade, form);
+
+  // geo
+  var geoid = geoId(facade);
+  if (geoid) form.geoid = geoid;
+
   // locale
   if (locale) form.ul = locale;
 
@@ -180,15 +509,31 @@ function createCommonGAForm(facade, settings){
   if (app.appId) form.aid = app.appId;
   if (app.appInstallerId) form.aiid = app.appInstallerId;
 
-  if (settings.sendUserId && facade.userId()) form.uid = facade.userId();
+  // queue time
+  var qt = queued(facade, settings);
+  if (qt) form.qt = qt;
+
+  // session control
+  var sc = sessionControl(facade);
+  if (sc) form.sc = sc;
+
+  if (settings.sendUserId && facade.userId() && !anonymous) form.uid = facade.userId();
   if (facade.userAgent()) form.ua = facade.userAgent();
-  if (facade.ip()) form.uip = facade.ip();
+
+  // ip
+  if (settings.anonymizeIp || anonymous) {
+    form.aip = 1;
+    if (facade.ip()) form.uip = anonymizeIp(facade.ip());
+  } else if (facade.ip()) {
+    form.uip = facade.ip();
+  }
 
   return form;
 }
 
 /**
- * Adds hostname and path
+ * Adds the screen depth, viewport, java and flash flags and
+ * document encoding from `context`.
  *
  * @api private
  * @param {Object} facade
@@ -196,13 +541,378 @@ function createCommonGAForm(facade, settings){
  * @return {Object}
  */
 
-function createPageDataForm(facade, form){
+function createDeviceForm(facade, form){
+  var screen = facade.proxy('context.screen') || {};
+  var viewport = facade.proxy('context.viewport') || {};
+  var java = facade.proxy('context.javaEnabled');
+  var flash = facade.proxy('context.flashVersion');
+  var encoding = facade.proxy('context.encoding');
+
+  if (screen.depth) form.sd = fmt('%s-bits', screen.depth);
+  if (viewport.height && viewport.width) {
+    form.vp = fmt('%sx%s', viewport.width, viewport.height);
+  }
+  if (is.boolean(java)) form.je = java ? 1 : 0;
+  if (flash) form.fl = String(flash);
+  if (encoding) form.de = encoding;
+
+  return form;
+}
+
+/**
+ * Get the country level `geoid` of `facade` from `context.location`,
+ * the ISO 3166 code of its country. Regions and cities aren't mapped,
+ * GA only resolves them from criteria IDs, which aren't bundled.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/v1/geoid
+ *
+ * Example:
+ *
+ *    // context.location: { city: 'San Francisco', country: 'United States' }
+ *    geoId(page); // => 'US'
+ *
+ * @api private
+ * @param {Object} facade
+ * @return {String|undefined}
+ */
+
+function geoId(facade){
+  var location = facade.proxy('context.location') || {};
+  var country = location.country;
+  if (!is.string(country)) return;
+  var code = countries[country.toLowerCase()];
+  if (code) return code;
+  if (/^[a-z]{2}$/i.test(country)) return country.toUpperCase();
+}
+
+/**
+ * Truncate the last octet of an IPv4 `ip`, or the last 80 bits
+ * of an IPv6 one.
+ *
+ * Example:
+ *
+ *    anonymizeIp('192.168.1.34'); // => '192.168.1.0'
+ *    anonymizeIp('2001:db8:85a3::8a2e:370:7334'); // => '2001:db8:85a3::'
+ *
+ * @api private
+ * @param {String} ip
+ * @return {String}
+ */
+
+function anonymizeIp(ip){
+  if (net.isIPv4(ip)) return ip.replace(/\d+$/, '0');
+  if (!net.isIPv6(ip)) return ip;
+
+  var parts = ip.split('::');
+  var head = groups(parts[0]);
+  var tail = groups(parts[1]);
+  var zeros = [];
+  if (parts.length > 1) {
+    for (var i = head.length + tail.length; i < 8; ++i) zeros.push('0');
+  }
+
+  return head.concat(zeros, tail).slice(0, 3).join(':') + '::';
+}
+
+/**
+ * Split the 16 bit groups of an IPv6 address part, an embedded IPv4
+ * address counts as two groups.
+ *
+ * @api private
+ * @param {String} str
+ * @return {String[]}
+ */
+
+function groups(str){
+  if (!str) return [];
+  return str.split(':').reduce(function(ret, group){
+    return ret.concat(~group.indexOf('.') ? [group, group] : [group]);
+  }, []);
+}
+
+/**
+ * Get the campaign of `facade`, `context.campaign` or when absent the
+ * UTM, `gclid` and `dclid` query params of the page url.
+ *
+ * Example:
+ *
+ *    // url: 'https://segment.com/?utm_source=google&gclid=abc'
+ *    attribution(track); // => { source: 'google', gclid: 'abc' }
+ *
+ * @api private
+ * @param {Facade} facade
+ * @return {Object}
+ */
+
+function attribution(facade){
+  var campaign = facade.proxy('context.campaign');
+  if (is.object(campaign)) {
+    return extend({}, campaign, { term: campaign.term || campaign.keyword });
+  }
+
+  var url = facade.proxy('properties.url') || facade.proxy('context.page.url');
+  if (!is.string(url)) return {};
+
+  var query = parse(url, true).query;
+  var ret = {};
+  Object.keys(params).forEach(function(key){
+    var value = query[params[key]];
+    if (is.array(value)) value = value[0];
+    if (is.string(value) && value) ret[key] = value;
+  });
+
+  return ret;
+}
+
+/**
+ * Get the queue time of `facade`, the ms between its timestamp and now.
+ *
+ * @api private
+ * @param {Facade} facade
+ * @param {Object} settings
+ * @return {Number|undefined}
+ */
+
+function queued(facade, settings){
+  var timestamp = facade.timestamp();
+  if (!timestamp) return;
+  return exports.queueTime(Date.now() - new Date(timestamp).getTime(), settings);
+}
+
+/**
+ * Get the session control of `facade`.
+ *
+ * Either `options['Google Analytics'].sessionControl` ("start" or "end")
+ * or `context.sessionStart` / `context.sessionEnd`.
+ *
+ * @api private
+ * @param {Facade} facade
+ * @return {String|undefined}
+ */
+
+function sessionControl(facade){
+  var options = facade.options('Google Analytics') || {};
+  if ('start' == options.sessionControl || 'end' == options.sessionControl) {
+    return options.sessionControl;
+  }
+
+  if (facade.proxy('context.sessionStart')) return 'start';
+  if (facade.proxy('context.sessionEnd')) return 'end';
+}
+
+/**
+ * Adds hostname, path, title and, when `settings.sendDocumentLocation`
+ * is set, the full url.
+ *
+ * Without a url `context.page.path` is sent as the path, the url is
+ * cleaned up by `cleanUrl()` first.
+ *
+ * @api private
+ * @param {Object} facade
+ * @param {Object} settings
+ * @param {Object} form
+ * @return {Object}
+ */
+
+function createPageDataForm(facade, settings, form){
   var url = facade.proxy('properties.url') || facade.proxy('context.page.url');
-  if (!is.string(url)) return form; 
+  var path = facade.proxy('context.page.path');
+  var title = facade.proxy('context.page.title');
+  if (is.string(title) && title) form.dt = title;
+  if (!is.string(url)) url = path;
+  if (!is.string(url)) return form;
 
-  var parsed = parse(url || '');
+  var parsed = cleanUrl(url, settings);
   if (parsed.hostname) form.dh = parsed.hostname;
-  if (parsed.path) form.dp = parsed.path;
+  if (parsed.pathname) form.dp = parsed.pathname + (parsed.search || '');
+  if (settings.sendDocumentLocation && parsed.hostname) form.dl = format(parsed);
+
+  return form;
+}
+
+/**
+ * Parse `url` and clean it up according to `settings`:
+ *
+ *    - `hostnameRewrites` - hostnames to replace, e.g. `{ 'staging.segment.com': 'segment.com' }`
+ *    - `stripQueryString` - drop the query string
+ *    - `queryParamAllowlist` - only keep these query params
+ *    - `stripFragment` - drop the fragment
+ *    - `lowercasePaths` - lowercase the path
+ *
+ * @api private
+ * @param {String} url
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+function cleanUrl(url, settings){
+  var parsed = parse(url, true);
+  var rewrites = settings.hostnameRewrites || {};
+  var allow = settings.queryParamAllowlist;
+
+  if (rewrites.hasOwnProperty(parsed.hostname)) {
+    parsed.hostname = rewrites[parsed.hostname];
+    parsed.host = null;
+  }
+
+  if (settings.stripQueryString) {
+    parsed.query = {};
+    parsed.search = '';
+  } else if (is.array(allow)) {
+    parsed.query = Object.keys(parsed.query).reduce(function(query, key){
+      if (~allow.indexOf(key)) query[key] = parsed.query[key];
+      return query;
+    }, {});
+    var search = qs.stringify(parsed.query);
+    parsed.search = search ? '?' + search : '';
+  }
+
+  if (settings.stripFragment) parsed.hash = null;
+  if (settings.lowercasePaths && parsed.pathname) parsed.pathname = parsed.pathname.toLowerCase();
+
+  return parsed;
+}
+
+/**
+ * Adds content groups mapped by `settings.contentGroupings` and the hit
+ * level overrides of `options['Google Analytics']`.
+ *
+ * Example:
+ *
+ *    // settings
+ *    { contentGroupings: { category: 'contentGroup1' } }
+ *
+ *    // options
+ *    { 'Google Analytics': { cg2: 'Blog', cd5: 'b', ni: 1, trackingId: 'UA-1-2' } }
+ *
+ * @api private
+ * @param {Object} facade
+ * @param {Object} settings
+ * @param {Object} form
+ * @return {Object}
+ */
+
+function createOverridesForm(facade, settings, form){
+  var groupings = settings.contentGroupings || {};
+  var properties = facade.field('properties') || {};
+  var options = facade.options('Google Analytics') || {};
+
+  Object.keys(groupings).forEach(function(name){
+    var key = shorten(groupings[name]);
+    var value = lookup(properties, name) || facade.field(name);
+    if (key && value != null) form[key] = value;
+  });
+
+  Object.keys(options).forEach(function(key){
+    if (!overrides.test(key)) return;
+    form[key] = options[key];
+  });
+
+  if (options.trackingId) form.tid = options.trackingId;
+
+  return form;
+}
+
+/**
+ * Adds the hit type for identify and group calls, which only
+ * exist to carry custom dimensions and metrics.
+ *
+ * @api private
+ * @param {Object} facade
+ * @param {Object} settings
+ * @param {Object} form
+ * @param {String} type
+ * @param {String} action
+ * @return {Object}
+ */
+
+function createUserHitForm(facade, settings, form, type, action){
+  if ('pageview' == type) {
+    form.t = 'pageview';
+    return createPageDataForm(facade, settings, form);
+  }
+
+  form.ec = 'User';
+  form.ea = action;
+  form.t = 'event';
+  form.ni = 1;
+  return form;
+}
+
+/**
+ * Adds the Enhanced Ecommerce product action for `track`, if its event
+ * is one of the ecommerce spec events.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/v1/parameters#enhanced-ecomm
+ *
+ * @api private
+ * @param {Track} track
+ * @param {Object} form
+ * @return {Object}
+ */
+
+function createProductActionForm(track, form){
+  var action = actions[track.event().toLowerCase()];
+  if (!action) return form;
+
+  var currency = track.proxy('properties.currency');
+  var step = track.proxy('properties.step');
+  var products;
+  var option;
+
+  form.pa = action;
+  if (currency) form.cu = currency;
+
+  switch (action) {
+    case 'checkout':
+      products = track.products();
+      if (step) form.cos = step;
+      break;
+    case 'checkout_option':
+      products = [];
+      option = track.proxy('properties.option')
+        || track.proxy('properties.paymentMethod')
+        || track.proxy('properties.shippingMethod');
+      if (step) form.cos = step;
+      if (option) form.col = option;
+      break;
+    default:
+      products = [track.properties()];
+  }
+
+  return createProductsForm(products, form);
+}
+
+/**
+ * Adds `prN*` product params for each of `products`.
+ *
+ * @api private
+ * @param {Object[]} products
+ * @param {Object} form
+ * @return {Object}
+ */
+
+function createProductsForm(products, form){
+  products.forEach(function(properties, i){
+    var product = new Track({ properties: properties });
+    var variant = product.proxy('properties.variant');
+    var position = product.proxy('properties.position');
+    var brand = product.proxy('properties.brand');
+    var id = product.id() || product.sku();
+    var coupon = product.coupon();
+    var price = product.price();
+    var prefix = 'pr' + (i + 1);
+
+    if (id) form[prefix + 'id'] = id;
+    if (product.name()) form[prefix + 'nm'] = product.name();
+    if (product.category()) form[prefix + 'ca'] = product.category();
+    if (brand) form[prefix + 'br'] = brand;
+    if (variant) form[prefix + 'va'] = variant;
+    if (price != null) form[prefix + 'pr'] = price;
+    form[prefix + 'qt'] = product.quantity();
+    if (coupon) form[prefix + 'cc'] = coupon;
+    if (position != null) form[prefix + 'ps'] = position;
+  });
 
   return form;
 }
@@ -243,12 +953,14 @@ function metrics(obj, data){
 }
 
 /**
- * Shorten `metric\d+` or `dimension\d+` to `cm\d+`, `cd\d+`.
+ * Shorten `metric\d+`, `dimension\d+` or `contentGroup\d` to `cm\d+`,
+ * `cd\d+`, `cg\d`.
  *
  * Example:
  *
  *    shorten('metric99'); // => cm99
  *    shorten('dimension57'); // => cd57
+ *    shorten('contentGroup2'); // => cg2
  *
  * @api private
  * @param {string} name
@@ -260,6 +972,8 @@ function shorten(name){
   if (match) return 'cm' + match[1];
   match = name.match(/^dimension(\d+)$/);
   if (match) return 'cd' + match[1];
+  match = name.match(/^contentGroup([1-5])$/);
+  if (match) return 'cg' + match[1];
 }
 
 /**
@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var extend = require('lodash.assign');
+var fmt = require('util').format;
+var is = require('is');
+
+/**
+ * Event list settings.
+ */
+
+var lists = ['eventAllowlist', 'eventDenylist'];
+
+/**
+ * Last checked settings, and the reason they're invalid.
+ */
+
+var checked = {};
+
+/**
+ * Compile the patterns of the event lists, `eventRules` and `piiPatterns`
+ * of `settings` once, instead of for every message.
+ *
+ * Returns a copy of `settings` holding regexps, invalid patterns are
+ * `null` and never match, `check()` reports them.
+ *
+ * @api public
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.compile = function(settings){
+  var ret = extend({}, settings);
+
+  lists.forEach(function(name){
+    if (is.array(settings[name])) ret[name] = settings[name].map(exports.event);
+  });
+
+  if (is.array(settings.eventRules)) {
+    ret.eventRules = settings.eventRules.map(function(rule){
+      if (!rule || !rule.match || null == rule.match.pattern) return rule;
+      var match = extend({}, rule.match, { pattern: exports.rule(rule.match.pattern) });
+      return extend({}, rule, { match: match });
+    });
+  }
+
+  if (is.array(settings.piiPatterns)) ret.piiPatterns = settings.piiPatterns.map(exports.pii);
+  return ret;
+};
+
+/**
+ * Get the reason the patterns of `settings` are invalid, if any.
+ *
+ * The result for the last settings is remembered, since they are
+ * checked for every message.
+ *
+ * @api public
+ * @param {Object} settings
+ * @return {String|undefined}
+ */
+
+exports.check = function(settings){
+  if (checked.settings === settings) return checked.reason;
+  var compiled = exports.compile(settings);
+  var reason;
+
+  lists.concat('piiPatterns').forEach(function(name){
+    if (reason || !is.array(settings[name])) return;
+    var i = compiled[name].indexOf(null);
+    if (~i) reason = fmt('%s has an invalid pattern %j', name, settings[name][i]);
+  });
+
+  (compiled.eventRules || []).forEach(function(rule, i){
+    var match = (settings.eventRules[i] || {}).match;
+    if (reason || !match || null == match.pattern || rule.match.pattern) return;
+    reason = fmt('eventRules has an invalid pattern %j', match.pattern);
+  });
+
+  checked = { settings: settings, reason: reason };
+  return reason;
+};
+
+/**
+ * Compile an event list entry, a `/regexp/flags` string becomes
+ * a regexp and other strings are event names.
+ *
+ * @api public
+ * @param {String|RegExp} pattern
+ * @return {String|RegExp|null}
+ */
+
+exports.event = function(pattern){
+  if (is.regexp(pattern)) return pattern;
+  if (!is.string(pattern)) return null;
+  var match = pattern.match(/^\/(.*)\/([a-z]*)$/);
+  if (!match) return pattern;
+  return regexp(match[1], match[2].replace(/[gy]/g, ''));
+};
+
+/**
+ * Compile a rule `pattern`, a regexp source.
+ *
+ * @api public
+ * @param {String|RegExp} pattern
+ * @return {RegExp|null}
+ */
+
+exports.rule = function(pattern){
+  if (is.regexp(pattern)) return pattern;
+  if (!is.string(pattern)) return null;
+  return regexp(pattern, '');
+};
+
+/**
+ * Compile a global PII regexp from `pattern`, either a `/regexp/flags`
+ * string or a plain regexp source.
+ *
+ * @api public
+ * @param {String|RegExp} pattern
+ * @return {RegExp|null}
+ */
+
+exports.pii = function(pattern){
+  if (is.regexp(pattern)) return pattern;
+  if (!is.string(pattern)) return null;
+  var match = pattern.match(/^\/(.*)\/([a-z]*)$/);
+  if (!match) return regexp(pattern, 'g');
+  return regexp(match[1], match[2].replace('g', '') + 'g');
+};
+
+/**
+ * Create a regexp, `null` when invalid.
+ *
+ * @api private
+ * @param {String} source
+ * @param {String} flags
+ * @return {RegExp|null}
+ */
+
+function regexp(source, flags){
+  try {
+    return new RegExp(source, flags);
+  } catch (e) {
+    return null;
+  }
+}
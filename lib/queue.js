@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var fmt = require('util').format;
+var qs = require('querystring');
+
+/**
+ * Measurement Protocol `/batch` limits.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/v1/devguide#batch-limitations
+ */
+
+var MAX_HITS = 20;
+var MAX_BATCH_BYTES = 16 * 1024;
+var MAX_HIT_BYTES = 8 * 1024;
+
+/**
+ * Room left in each hit for its queue time, which is only
+ * set when the batch is sent, e.g. "&qt=14400000".
+ */
+
+var QT_BYTES = 12;
+
+/**
+ * Expose `Queue`
+ */
+
+module.exports = Queue;
+
+/**
+ * Expose `encode`
+ */
+
+Queue.encode = encode;
+
+/**
+ * Initialize a new `Queue`.
+ *
+ * Hits are buffered and handed to `send(hits, fn)` as a batch of
+ * `{ payload, since }`, `since` being when the hit was queued, once
+ * `options.size` hits are queued, the encoded batch would exceed 16KB
+ * or `options.interval` ms have passed since the first hit was queued,
+ * whichever comes first.
+ *
+ * @api public
+ * @param {Object} options
+ * @param {Function} send
+ */
+
+function Queue(options, send){
+  this.size = Math.min(options.size || MAX_HITS, MAX_HITS);
+  this.interval = options.interval || 1000;
+  this.send = send;
+  this.hits = [];
+  this.bytes = 0;
+  this.timer = null;
+}
+
+/**
+ * Queue `payload`, `fn(err, res)` is invoked once its batch was sent.
+ *
+ * @api public
+ * @param {Object} payload
+ * @param {Function} fn
+ */
+
+Queue.prototype.push = function(payload, fn){
+  var bytes = Buffer.byteLength(encode(payload)) + QT_BYTES;
+
+  if (bytes > MAX_HIT_BYTES) {
+    var msg = fmt('hit is %d bytes, the limit is %d bytes', bytes, MAX_HIT_BYTES);
+    return setImmediate(fn, new Error(msg));
+  }
+
+  // +1 for the newline separating it from the previous hit.
+  if (this.hits.length && this.bytes + bytes + 1 > MAX_BATCH_BYTES) this.flush();
+  if (this.hits.length) bytes++;
+
+  this.hits.push({ payload: payload, since: Date.now(), fn: fn });
+  this.bytes += bytes;
+
+  if (this.hits.length >= this.size) return this.flush();
+  if (!this.timer) this.timer = setTimeout(this.flush.bind(this), this.interval);
+};
+
+/**
+ * Send all queued hits now.
+ *
+ * @api public
+ */
+
+Queue.prototype.flush = function(){
+  var hits = this.hits;
+  clearTimeout(this.timer);
+  this.timer = null;
+  this.hits = [];
+  this.bytes = 0;
+  if (!hits.length) return;
+
+  var batch = hits.map(function(item){
+    return { payload: item.payload, since: item.since };
+  });
+
+  this.send(batch, function(err, res){
+    hits.forEach(function(item){
+      item.fn(err, res);
+    });
+  });
+};
+
+/**
+ * Encode `payload` as a form body, skipping empty values.
+ *
+ * @api public
+ * @param {Object} payload
+ * @return {String}
+ */
+
+function encode(payload){
+  var ret = {};
+  for (var key in payload) {
+    if (payload[key] == null) continue;
+    ret[key] = payload[key];
+  }
+  return qs.stringify(ret);
+}
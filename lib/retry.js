@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Expose `retry`
+ */
+
+module.exports = retry;
+retry.retryable = retryable;
+retry.delay = delay;
+
+/**
+ * Network error codes worth retrying.
+ */
+
+var codes = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EHOSTUNREACH',
+  'EPIPE',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+];
+
+/**
+ * Call `task(done)` until it succeeds, fails with an error that isn't
+ * retryable or runs out of retries, then call `fn(err, res)`.
+ *
+ *    - `retries` - max retries, defaults to 2
+ *    - `minDelay` - ms to wait before the first retry, defaults to 100
+ *    - `maxDelay` - max ms to wait between retries, defaults to 10000
+ *
+ * Waits grow exponentially, each one is picked at random up to the
+ * current backoff so that hits failing together don't retry together.
+ *
+ * @api public
+ * @param {Object} options
+ * @param {Function} task
+ * @param {Function} fn
+ */
+
+function retry(options, task, fn){
+  var retries = options.retries != null ? options.retries : 2;
+  var attempt = 0;
+
+  (function next(){
+    task(function(err, res){
+      if (!err || attempt >= retries || !retryable(err)) return fn(err, res);
+      setTimeout(next, delay(attempt++, options));
+    });
+  })();
+}
+
+/**
+ * Check whether `err` is transient, server errors, rate limits,
+ * timeouts and dropped connections are.
+ *
+ * @api public
+ * @param {Error} err
+ * @return {Boolean}
+ */
+
+function retryable(err){
+  if (!err) return false;
+  if (err.status >= 500 || err.status == 429) return true;
+  if (err.timeout) return true;
+  return !!~codes.indexOf(err.code);
+}
+
+/**
+ * Get the ms to wait before retry `attempt`, full jitter
+ * exponential backoff.
+ *
+ * @api public
+ * @param {Number} attempt
+ * @param {Object} options
+ * @return {Number}
+ */
+
+function delay(attempt, options){
+  var min = options.minDelay != null ? options.minDelay : 100;
+  var max = options.maxDelay != null ? options.maxDelay : 10000;
+  return Math.round(Math.random() * Math.min(max, min * Math.pow(2, attempt)));
+}
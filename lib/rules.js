@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var patterns = require('./patterns');
+var is = require('is');
+
+/**
+ * Get the event category, action, label and value of `track` from the
+ * first of `rules` that matches it.
+ *
+ * Each rule has a `match`, either an exact `event` name, an event name
+ * regexp `pattern` or a `property` (optionally `equals` to a value), and
+ * the fields to rewrite. A field is either a literal, or `{ property: name }`
+ * to read it from the properties.
+ *
+ * Example:
+ *
+ *    rules(track, [{
+ *      match: { event: 'Signed Up' },
+ *      category: 'Account',
+ *      action: 'signup',
+ *      label: { property: 'plan' }
+ *    }]);
+ *    // => { category: 'Account', action: 'signup', label: 'pro' }
+ *
+ * @api public
+ * @param {Track} track
+ * @param {Object[]} rules
+ * @return {Object|undefined}
+ */
+
+module.exports = function(track, rules){
+  if (!is.array(rules)) return;
+
+  for (var i = 0; i < rules.length; ++i) {
+    var rule = rules[i];
+    if (!matches(track, rule.match || {})) continue;
+    return {
+      category: resolve(track, rule.category),
+      action: resolve(track, rule.action),
+      label: resolve(track, rule.label),
+      value: resolve(track, rule.value)
+    };
+  }
+};
+
+/**
+ * Check whether `track` matches `match`.
+ *
+ * @api private
+ * @param {Track} track
+ * @param {Object} match
+ * @return {Boolean}
+ */
+
+function matches(track, match){
+  var event = track.event();
+
+  if (match.event != null) return event === match.event;
+  if (match.pattern != null) {
+    var pattern = patterns.rule(match.pattern);
+    return !!pattern && pattern.test(event);
+  }
+  if (match.property == null) return false;
+
+  var value = track.proxy('properties.' + match.property);
+  if (match.equals == null) return value != null;
+  return String(value) === String(match.equals);
+}
+
+/**
+ * Resolve a rule `field` of `track`.
+ *
+ * @api private
+ * @param {Track} track
+ * @param {Mixed} field
+ * @return {Mixed}
+ */
+
+function resolve(track, field){
+  if (is.object(field)) return track.proxy('properties.' + field.property);
+  return field;
+}
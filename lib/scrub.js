@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var patterns = require('./patterns');
+var extend = require('lodash.assign');
+var crypto = require('crypto');
+var is = require('is');
+
+/**
+ * Emails, plain or url encoded.
+ */
+
+var EMAIL = /[\w.+-]+(?:@|%40)[\w-]+(?:\.[\w-]+)+/gi;
+
+/**
+ * Phone numbers, international or separated into groups.
+ */
+
+var PHONE = /\+\d{8,15}\b|(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g;
+
+/**
+ * Params that are never scrubbed, they only hold ids, numbers
+ * or protocol values.
+ */
+
+var exempt = [
+  'v',
+  'tid',
+  'cid',
+  't',
+  'qt',
+  'sc',
+  'ni',
+  'ua',
+  'uip',
+  'utmac',
+  'utmwv',
+  'utmcc',
+  'utmn'
+];
+
+/**
+ * Scrub PII out of the values of `payload` according to `settings`:
+ *
+ *    - `piiPolicy` - "redact", "hash" or "drop", nothing is scrubbed when unset
+ *    - `piiPatterns` - more regexps to scrub, as `/regexp/flags` strings
+ *
+ * Emails and phone numbers are always scrubbed. Matches are replaced
+ * with "REDACTED" or their sha256 hash, with "drop" the whole hit
+ * should be dropped when anything matches.
+ *
+ * Example:
+ *
+ *    scrub({ dp: '/?email=jd@segment.com' }, { piiPolicy: 'redact' });
+ *    // => { payload: { dp: '/?email=REDACTED' }, count: 1, drop: false }
+ *
+ * @api public
+ * @param {Object} payload
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+var scrub = module.exports = function(payload, settings){
+  var policy = settings.piiPolicy;
+  var ret = { payload: payload, count: 0, drop: false };
+  if (!policy) return ret;
+
+  var regexps = [EMAIL, PHONE].concat((settings.piiPatterns || []).map(patterns.pii).filter(Boolean));
+  ret.payload = {};
+
+  Object.keys(payload).forEach(function(key){
+    var value = payload[key];
+
+    if (is.string(value) && !~exempt.indexOf(key)) {
+      regexps.forEach(function(pattern){
+        value = value.replace(pattern, function(match){
+          ret.count++;
+          return replacement(match, policy);
+        });
+      });
+    }
+
+    ret.payload[key] = value;
+  });
+
+  ret.drop = 'drop' == policy && ret.count > 0;
+  return ret;
+};
+
+/**
+ * Scrub a GA4 `payload`, its `user_id` and the string values of
+ * its event params, the same way hits are scrubbed.
+ *
+ * @api public
+ * @param {Object} payload
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+scrub.ga4 = function(payload, settings){
+  var ret = { payload: payload, count: 0, drop: false };
+  if (!settings.piiPolicy) return ret;
+
+  ret.payload = extend({}, payload);
+
+  if (null != payload.user_id) {
+    var user = scrub({ user_id: payload.user_id }, settings);
+    ret.payload.user_id = user.payload.user_id;
+    ret.count += user.count;
+  }
+
+  ret.payload.events = (payload.events || []).map(function(event){
+    if (!event.params) return event;
+    var params = scrub(event.params, settings);
+    ret.count += params.count;
+    return extend({}, event, { params: params.payload });
+  });
+
+  ret.drop = 'drop' == settings.piiPolicy && ret.count > 0;
+  return ret;
+};
+
+/**
+ * Report the `count` of scrubbed values to the caller in the
+ * response `res`, leaving responses shared by a batch untouched.
+ *
+ * @api public
+ * @param {Object} res
+ * @param {Number} count
+ * @return {Object}
+ */
+
+scrub.report = function(res, count){
+  if (!res || !count) return res;
+  var ret = Object.create(res);
+  ret.scrubbed = count;
+  return ret;
+};
+
+/**
+ * Get the replacement of `match` for `policy`.
+ *
+ * @api private
+ * @param {String} match
+ * @param {String} policy
+ * @return {String}
+ */
+
+function replacement(match, policy){
+  if ('hash' == policy) return crypto.createHash('sha256').update(match).digest('hex');
+  return 'REDACTED';
+}
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var retryable = require('./retry').retryable;
+var extend = require('lodash.assign');
+var Batch = require('batch');
+var fs = require('fs');
+
+/**
+ * Expose `Spool`
+ */
+
+module.exports = Spool;
+
+/**
+ * Dead-letter spool of hits that couldn't be delivered, appended to
+ * `path` as JSON lines of `{ time, payload }` to be replayed later.
+ *
+ * @api public
+ * @param {String} path
+ */
+
+function Spool(path){
+  this.path = path;
+}
+
+/**
+ * Append `payloads` to the spool.
+ *
+ * @api public
+ * @param {Object[]} payloads
+ * @param {Function} fn
+ */
+
+Spool.prototype.write = function(payloads, fn){
+  var time = Date.now();
+  this.append(payloads.map(function(payload){
+    return { time: time, payload: payload };
+  }), fn);
+};
+
+/**
+ * Replay the spooled hits through `send(payload, fn)`, one at a time.
+ *
+ * The queue time of each hit grows by the time it spent in the spool.
+ * Hits failing with a retryable error are spooled again, the others
+ * are dropped, like malformed lines. Calls `fn(err, { sent, spooled, dropped })`.
+ *
+ * @api public
+ * @param {Function} send
+ * @param {Function} fn
+ */
+
+Spool.prototype.replay = function(send, fn){
+  var counts = { sent: 0, spooled: 0, dropped: 0 };
+  var path = this.path + '.' + Date.now();
+  var self = this;
+
+  fs.rename(this.path, path, function(err){
+    if (err && 'ENOENT' == err.code) return fn(null, counts);
+    if (err) return fn(err);
+
+    fs.readFile(path, 'utf8', function(err, data){
+      if (err) return fn(err);
+
+      var records = [];
+      var failed = [];
+
+      // a crash while appending can leave a truncated last line
+      data.split('\n').filter(Boolean).forEach(function(line){
+        try {
+          records.push(JSON.parse(line));
+        } catch (e) {
+          counts.dropped++;
+        }
+      });
+
+      var batch = new Batch();
+
+      batch.concurrency(1);
+      batch.throws(false);
+
+      records.forEach(function(record){
+        batch.push(function(done){
+          var qt = Number(record.payload.qt || 0) + Date.now() - record.time;
+          send(extend({}, record.payload, { qt: qt }), function(err){
+            if (!err) counts.sent++;
+            else if (retryable(err)) failed.push(record);
+            else counts.dropped++;
+            done();
+          });
+        });
+      });
+
+      batch.end(function(){
+        counts.spooled = failed.length;
+        self.append(failed, function(err){
+          if (err) return fn(err);
+          fs.unlink(path, function(err){
+            fn(err, counts);
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Append `records` to the spool file.
+ *
+ * @api private
+ * @param {Object[]} records
+ * @param {Function} fn
+ */
+
+Spool.prototype.append = function(records, fn){
+  if (!records.length) return setImmediate(fn);
+  var lines = records.map(function(record){
+    return JSON.stringify(record) + '\n';
+  });
+  fs.appendFile(this.path, lines.join(''), fn);
+};
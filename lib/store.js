@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * Expose `Store`
+ */
+
+module.exports = Store;
+
+/**
+ * In-memory LRU store with expiring keys, used to remember delivered
+ * orders.
+ *
+ * Any object with the same async interface can replace it, e.g. an
+ * adapter over a Redis client:
+ *
+ *    - `get(key, fn)` - calls `fn(err, value)`, `value` is null when missing
+ *    - `set(key, value, ttl, fn)` - stores `value` for `ttl` ms, calls `fn(err)`
+ *
+ * @api public
+ * @param {Object} options
+ * @param {Number} options.max max keys, defaults to 10000
+ */
+
+function Store(options){
+  options = options || {};
+  this.max = options.max || 10000;
+  this.entries = Object.create(null);
+  this.size = 0;
+
+  // least recently used first
+  this.used = list('usedPrev', 'usedNext');
+
+  // least recently set first, that is first to expire
+  this.added = list('addedPrev', 'addedNext');
+}
+
+/**
+ * Get the value of `key`.
+ *
+ * @api public
+ * @param {String} key
+ * @param {Function} fn
+ */
+
+Store.prototype.get = function(key, fn){
+  var entry = this.entries[key];
+  if (entry && entry.expires <= Date.now()) {
+    this.remove(entry);
+    entry = null;
+  }
+
+  // most recently used last
+  if (entry) {
+    unlink(this.used, entry);
+    append(this.used, entry);
+  }
+
+  setImmediate(fn, null, entry ? entry.value : null);
+};
+
+/**
+ * Set `key` to `value` for `ttl` ms. When full, expired keys are
+ * evicted first, then the least recently used key.
+ *
+ * Keys are expected to share the same `ttl`, so the least recently
+ * set ones expire first.
+ *
+ * @api public
+ * @param {String} key
+ * @param {Mixed} value
+ * @param {Number} ttl
+ * @param {Function} fn
+ */
+
+Store.prototype.set = function(key, value, ttl, fn){
+  if (this.entries[key]) this.remove(this.entries[key]);
+
+  var entry = { key: key, value: value, expires: Date.now() + ttl };
+  this.entries[key] = entry;
+  this.size++;
+  append(this.used, entry);
+  append(this.added, entry);
+
+  if (this.size > this.max) this.evict();
+  setImmediate(fn, null);
+};
+
+/**
+ * Evict the expired entries, or the least recently used one.
+ *
+ * @api private
+ */
+
+Store.prototype.evict = function(){
+  var now = Date.now();
+  while (this.added.head && this.added.head.expires <= now) this.remove(this.added.head);
+  if (this.size > this.max) this.remove(this.used.head);
+};
+
+/**
+ * Remove `entry`.
+ *
+ * @api private
+ * @param {Object} entry
+ */
+
+Store.prototype.remove = function(entry){
+  unlink(this.used, entry);
+  unlink(this.added, entry);
+  delete this.entries[entry.key];
+  this.size--;
+};
+
+/**
+ * Create a doubly linked list of entries, linked by their
+ * `prev` and `next` properties.
+ *
+ * @api private
+ * @param {String} prev
+ * @param {String} next
+ * @return {Object}
+ */
+
+function list(prev, next){
+  return { head: null, tail: null, prev: prev, next: next };
+}
+
+/**
+ * Append `entry` to `list`.
+ *
+ * @api private
+ * @param {Object} list
+ * @param {Object} entry
+ */
+
+function append(list, entry){
+  entry[list.prev] = list.tail;
+  entry[list.next] = null;
+  if (list.tail) list.tail[list.next] = entry;
+  else list.head = entry;
+  list.tail = entry;
+}
+
+/**
+ * Unlink `entry` from `list`.
+ *
+ * @api private
+ * @param {Object} list
+ * @param {Object} entry
+ */
+
+function unlink(list, entry){
+  var prev = entry[list.prev];
+  var next = entry[list.next];
+  if (prev) prev[list.next] = next;
+  else list.head = next;
+  if (next) next[list.prev] = prev;
+  else list.tail = prev;
+  entry[list.prev] = entry[list.next] = null;
+}
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var parse = require('url').parse;
+var is = require('is');
+
+/**
+ * Get the additional tracking IDs `facade` is sent to.
+ *
+ * `settings.additionalTrackingIds` lists tracking IDs, or objects with a
+ * `trackingId` and a `match` routing messages to it by:
+ *
+ *    - `app` - the `context.app.name`
+ *    - `hostname` - the hostname of the page url
+ *    - `property` - a property, optionally `equals` to a value
+ *
+ * Example:
+ *
+ *    trackingIds(page, {
+ *      additionalTrackingIds: [
+ *        'UA-1-1',
+ *        { trackingId: 'UA-2-1', match: { hostname: 'brand.com' } }
+ *      ]
+ *    });
+ *    // => ['UA-1-1', 'UA-2-1'] when the page is on brand.com
+ *
+ * @api public
+ * @param {Facade} facade
+ * @param {Object} settings
+ * @return {String[]}
+ */
+
+module.exports = function(facade, settings){
+  var ids = settings.additionalTrackingIds;
+  if (!is.array(ids)) return [];
+
+  return ids.reduce(function(ret, id){
+    if (is.string(id)) id = { trackingId: id };
+    if (!id.trackingId || !matches(facade, id.match)) return ret;
+    if (!~ret.indexOf(id.trackingId)) ret.push(id.trackingId);
+    return ret;
+  }, []);
+};
+
+/**
+ * Check whether `facade` matches `match`, everything matches
+ * an empty `match`.
+ *
+ * @api private
+ * @param {Facade} facade
+ * @param {Object} match
+ * @return {Boolean}
+ */
+
+function matches(facade, match){
+  if (!match) return true;
+
+  if (match.app != null && facade.proxy('context.app.name') !== match.app) return false;
+  if (match.hostname != null && hostname(facade) !== match.hostname) return false;
+  if (match.property == null) return true;
+
+  var value = facade.proxy('properties.' + match.property);
+  if (match.equals == null) return value != null;
+  return String(value) === String(match.equals);
+}
+
+/**
+ * Get the hostname of the page url of `facade`.
+ *
+ * @api private
+ * @param {Facade} facade
+ * @return {String|undefined}
+ */
+
+function hostname(facade){
+  var url = facade.proxy('properties.url') || facade.proxy('context.page.url');
+  if (is.string(url)) return parse(url).hostname;
+}
@@ -5,31 +5,160 @@
  */
 
 var integration = require('segmentio-integration');
+var events = require('analytics-events');
+var trackingIds = require('./tracking-ids');
+var validate = require('./validate');
+var retry = require('./retry');
+var scrub = require('./scrub');
+var Spool = require('./spool');
+var Store = require('./store');
+var fmt = require('util').format;
 var mapper = require('./mapper');
+var Limiter = require('./limiter');
+var Queue = require('./queue');
+var extend = require('lodash.assign');
 var Batch = require('batch');
 
+/**
+ * Batch endpoint.
+ */
+
+var BATCH_ENDPOINT = 'https://ssl.google-analytics.com/batch';
+
+/**
+ * Validation server endpoint.
+ */
+
+var DEBUG_ENDPOINT = 'https://ssl.google-analytics.com/debug/collect';
+
+/**
+ * Default time delivered orders are remembered, a day.
+ */
+
+var DEDUPE_TTL = 24 * 60 * 60 * 1000;
+
 /**
  * Expose `GA`
  */
 
 var GA = module.exports = integration('Google Analytics')
-  .endpoint('https://ssl.google-analytics.com/collect')
-  .retries(2);
+  .endpoint('https://ssl.google-analytics.com/collect');
+
+/**
+ * Initialize.
+ *
+ * When `settings.batch` is set hits are queued and flushed through
+ * the `/batch` endpoint instead of being sent one by one. The validation
+ * server only accepts single hits, so `settings.debug` disables batching.
+ *
+ * Hits still failing with a retryable error after `settings.retries` are
+ * appended to the `settings.deadLetterFile` spool, when set.
+ *
+ * Delivered order hits are remembered in `settings.dedupeStore`, an in-memory
+ * store of `settings.dedupeSize` hits by default, unless
+ * `settings.dedupeOrders` is `false`.
+ *
+ * Requests are limited to `settings.hitsPerSecond` per tracking ID with
+ * bursts of `settings.hitBurst`, and `settings.maxConcurrentRequests`
+ * in flight.
+ *
+ * @api private
+ */
+
+GA.prototype.initialize = function(){
+  this.limiter = new Limiter({
+    rate: this.settings.hitsPerSecond,
+    burst: this.settings.hitBurst,
+    concurrency: this.settings.maxConcurrentRequests
+  });
+
+  this.inflight = {};
+  if (false !== this.settings.dedupeOrders) {
+    this.orders = this.settings.dedupeStore || new Store({ max: this.settings.dedupeSize });
+  }
+  if (this.settings.deadLetterFile) this.spool = new Spool(this.settings.deadLetterFile);
+  if (!this.settings.batch || this.settings.debug) return;
+  this.queue = new Queue({
+    size: this.settings.batchSize,
+    interval: this.settings.batchInterval
+  }, this.sendBatch.bind(this));
+};
+
+/**
+ * Identify.
+ *
+ * @param {Identify} identify
+ * @param {Function} fn
+ */
+
+GA.prototype.identify = function(identify, fn){
+  var payload = mapper.identify(identify, this.settings);
+  return this.fanout(identify, payload, fn);
+};
+
+/**
+ * Group.
+ *
+ * @param {Group} group
+ * @param {Function} fn
+ */
+
+GA.prototype.group = function(group, fn){
+  var payload = mapper.group(group, this.settings);
+  return this.fanout(group, payload, fn);
+};
 
 /**
  * Track.
  *
+ * Events listed in `settings.timingEvents`, `.exceptionEvents` or
+ * `.socialEvents` are sent as timing, exception or social hits.
+ *
  * @param {Track} track
  * @param {Function} callback
  */
 
 GA.prototype.track = function(track, callback){
+  var type = mapper.hitType(track, this.settings);
+  if (type) return this[type](track, callback);
   var payload = mapper.track(track, this.settings);
-  return this
-    .post()
-    .type('form')
-    .send(payload)
-    .end(this.handle(callback));
+  return this.fanout(track, payload, callback);
+};
+
+/**
+ * User timing.
+ *
+ * @param {Track} track
+ * @param {Function} fn
+ */
+
+GA.prototype.timing = function(track, fn){
+  var payload = mapper.timing(track, this.settings);
+  return this.fanout(track, payload, fn);
+};
+
+/**
+ * Exception.
+ *
+ * @param {Track} track
+ * @param {Function} fn
+ */
+
+GA.prototype.exception = function(track, fn){
+  var payload = mapper.exception(track, this.settings);
+  return this.fanout(track, payload, fn);
+};
+
+/**
+ * Social interaction.
+ *
+ * @param {Track} track
+ * @param {Function} fn
+ */
+
+GA.prototype.social = function(track, fn){
+  var payload = mapper.social(track, this.settings);
+  return this.fanout(track, payload, fn);
 };
 
 /**
@@ -45,29 +174,128 @@ GA.prototype.track = function(track, callback){
  *    - `tt` - transaction tax (.tax())
  *    - `cu` - currency code (.currency())
  *
+ * Every hit is sent and retried on its own, when some fail `fn` gets
+ * an error listing them, with the error of each as `err.errors[i]`.
+ *
+ * Each hit is remembered per property once delivered, and skipped when
+ * it was already delivered within `settings.dedupeTtl` ms or is being
+ * delivered, so retrying a partly failed order only sends what's
+ * missing. Orders with every hit skipped call back with
+ * `{ skipped: true, reason: '...' }`.
+ *
  * @param {Track} track
  * @param {Function} callback
  */
 
 GA.prototype.completedOrder = function(track, fn){
   var payloads = mapper.completedOrder(track, this.settings);
+  return this.sendOrder(track, payloads, fn);
+};
+
+/**
+ * Send the transaction and item `payloads` of `track`.
+ *
+ * @param {Track} track
+ * @param {Object[]} payloads
+ * @param {Function} fn
+ */
+
+GA.prototype.sendOrder = function(track, payloads, fn){
+  var orderId = track.orderId();
   var batch = new Batch();
+  var sent = 0;
   var self = this;
 
-  // make sure batch throws.
-  batch.throws(true);
+  batch.throws(false);
 
-  payloads.forEach(function(payload){
+  payloads.forEach(function(payload, i){
+    var tids = properties(track, payload, self.settings);
     batch.push(function(done){
-      self
-        .post()
-        .type('form')
-        .send(payload)
-        .end(self.handle(done));
+      self.broadcast(tids, function(tid, done){
+        var key = orderId && fmt('%s:%s:%d', tid, orderId, i);
+        self.dedupe(key, function(done){
+          sent++;
+          self.send(extend({}, payload, { tid: tid }), done);
+        }, done);
+      }, done);
     });
   });
 
-  batch.end(fn);
+  batch.end(function(errors, results){
+    var messages = [];
+
+    errors.forEach(function(err, i){
+      if (err) messages.push(fmt('%s %d (%s)', payloads[i].t, i, err.message));
+    });
+
+    if (messages.length) {
+      var err = self.error('%d of %d hits failed: %s', messages.length, payloads.length, messages.join(', '));
+      err.errors = errors;
+      return fn(err);
+    }
+
+    if (!sent) return fn(null, { skipped: true, reason: fmt('order "%s" was already sent', orderId) });
+    fn(null, results);
+  });
+};
+
+/**
+ * Run `send(done)` unless the hit `key` was delivered within
+ * `settings.dedupeTtl` ms or is being delivered, and remember
+ * it once delivered.
+ *
+ * The key is marked in flight before the store is read, so identical
+ * orders arriving at once don't both send it.
+ *
+ * @param {String} key
+ * @param {Function} send
+ * @param {Function} fn
+ */
+
+GA.prototype.dedupe = function(key, send, fn){
+  var ttl = this.settings.dedupeTtl || DEDUPE_TTL;
+  var inflight = this.inflight;
+  var orders = this.orders;
+  var self = this;
+
+  if (!orders || !key) return send(fn);
+  if (inflight[key]) return setImmediate(fn, null, { skipped: true });
+  inflight[key] = true;
+
+  orders.get(key, function(err, sent){
+    if (err) self.debug('could not get order hit %s: %s', key, err.message);
+    if (sent) {
+      delete inflight[key];
+      return fn(null, { skipped: true });
+    }
+
+    send(function(err, res){
+      if (err) {
+        delete inflight[key];
+        return fn(err);
+      }
+
+      orders.set(key, Date.now(), ttl, function(err){
+        delete inflight[key];
+        if (err) self.debug('could not set order hit %s: %s', key, err.message);
+        fn(null, res);
+      });
+    });
+  });
+};
+
+/**
+ * Refunded Order.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/v1/devguide#measuring-refunds
+ *
+ * @param {Track} track
+ * @param {Function} fn
+ */
+
+GA.prototype.refundedOrder = function(track, fn){
+  var payload = mapper.refundedOrder(track, this.settings);
+  return this.fanout(track, payload, fn);
 };
 
 /**
@@ -81,11 +309,7 @@ GA.prototype.completedOrder = function(track, fn){
 
 GA.prototype.page = function(page, fn){
   var payload = mapper.page(page, this.settings);
-  return this
-    .post()
-      .type('form')
-      .send(payload)
-      .end(this.handle(fn));
+  return this.fanout(page, payload, fn);
 };
 
 /**
@@ -97,11 +321,371 @@ GA.prototype.page = function(page, fn){
 
 GA.prototype.screen = function (screen, callback) {
   var payload = mapper.screen(screen, this.settings);
-  return this
-    .post()
+  return this.fanout(screen, payload, callback);
+};
+
+/**
+ * Send `payload` to its property and the `settings.additionalTrackingIds`
+ * matching `message`.
+ *
+ * When some properties fail `fn` gets an error listing them, with
+ * the error of each as `err.errors[trackingId]`.
+ *
+ * @param {Facade} message
+ * @param {Object} payload
+ * @param {Function} fn
+ */
+
+GA.prototype.fanout = function(message, payload, fn){
+  var tids = properties(message, payload, this.settings);
+  var self = this;
+  return this.broadcast(tids, function(tid, done){
+    self.send(extend({}, payload, { tid: tid }), done);
+  }, fn);
+};
+
+/**
+ * Run `send(tid, done)` for each of `tids`, or just call it
+ * for a single one.
+ *
+ * When some fail `fn` gets an error listing them, with the
+ * error of each as `err.errors[trackingId]`.
+ *
+ * @param {String[]} tids
+ * @param {Function} send
+ * @param {Function} fn
+ */
+
+GA.prototype.broadcast = function(tids, send, fn){
+  if (tids.length == 1) return send(tids[0], fn);
+
+  var batch = new Batch();
+  var self = this;
+
+  batch.throws(false);
+
+  tids.forEach(function(tid){
+    batch.push(function(done){
+      send(tid, done);
+    });
+  });
+
+  batch.end(function(errors, results){
+    var failed = {};
+    var messages = [];
+
+    tids.forEach(function(tid, i){
+      if (!errors[i]) return;
+      failed[tid] = errors[i];
+      messages.push(fmt('%s (%s)', tid, errors[i].message));
+    });
+
+    if (!messages.length) return fn(null, results[0]);
+    var err = self.error('%d of %d properties failed: %s', messages.length, tids.length, messages.join(', '));
+    err.errors = failed;
+    fn(err);
+  });
+};
+
+/**
+ * Send a single hit `payload`, queueing it when batching.
+ *
+ * PII is scrubbed first, emitting "scrub" with the number of
+ * matches, and hits the `piiPolicy` drops are skipped. The number
+ * is also reported to `fn` as `res.scrubbed`.
+ *
+ * Invalid hits are rejected instead of being sent, since
+ * GA silently discards them.
+ *
+ * @param {Object} payload
+ * @param {Function} fn
+ */
+
+GA.prototype.send = function(payload, fn){
+  var scrubbed = scrub(payload, this.settings);
+  var count = scrubbed.count;
+  if (count) this.emit('scrub', count, payload.t);
+  if (scrubbed.drop) return setImmediate(fn, null, { skipped: true, reason: fmt('%s hit contains pii', payload.t), scrubbed: count });
+  payload = scrubbed.payload;
+  fn = reported(fn, count);
+
+  var reason = validate(payload);
+  if (reason) return setImmediate(fn, invalid(this, payload, reason));
+  if (this.settings.debug) return this.sendDebug(payload, fn);
+  if (this.queue) return this.queue.push(payload, fn);
+
+  var hit = { payload: payload, since: Date.now() };
+  return this.deliver(this.collect(hit), [hit], fn);
+};
+
+/**
+ * Get the request sending the single `hit`.
+ *
+ * @param {Object} hit
+ * @return {Function}
+ */
+
+GA.prototype.collect = function(hit){
+  var self = this;
+  return function(done){
+    var payload = self.age(hit);
+    var reason = validate(payload);
+    if (reason) return done(invalid(self, payload, reason));
+
+    self
+      .post()
       .type('form')
       .send(payload)
-      .end(this.handle(callback));
+      .end(self.handle(done));
+  };
+};
+
+/**
+ * Send a newline separated batch of encoded `hits`.
+ *
+ * Hits that grew too old while queued are left out.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/v1/devguide#batch
+ *
+ * @param {Object[]} hits
+ * @param {Function} fn
+ */
+
+GA.prototype.sendBatch = function(hits, fn){
+  var self = this;
+  return this.deliver(function(done){
+    var body = [];
+
+    hits.forEach(function(hit){
+      var payload = self.age(hit);
+      var reason = validate(payload);
+      if (reason) return self.debug('leaving out invalid %s hit: %s', payload.t, reason);
+      body.push(Queue.encode(payload));
+    });
+
+    if (!body.length) return done(self.reject('every hit of the batch is invalid'));
+
+    self
+      .post(BATCH_ENDPOINT)
+      .type('form')
+      .send(body.join('\n'))
+      .end(self.handle(done));
+  }, hits, fn);
+};
+
+/**
+ * Get the payload of `hit` with its queue time as of now, that is
+ * the queue time it was mapped with plus the ms since `hit.since`,
+ * so waiting for the limiter, retries or the batch counts.
+ *
+ * @param {Object} hit
+ * @return {Object}
+ */
+
+GA.prototype.age = function(hit){
+  var payload = extend({}, hit.payload);
+  var qt = mapper.queueTime(Number(payload.qt || 0) + Date.now() - hit.since, this.settings);
+  if (qt) payload.qt = qt;
+  else delete payload.qt;
+  return payload;
+};
+
+/**
+ * Run `request(done)` for `hits` once the limiter allows it, retrying
+ * transient errors with backoff:
+ *
+ *    - `retries` - max retries, defaults to 2
+ *    - `retryMinDelay` - ms before the first retry, defaults to 100
+ *    - `retryMaxDelay` - max ms between retries, defaults to 10000
+ *
+ * When it still fails with a transient error the hits are spooled
+ * to the dead-letter file, if any, and the error is `err.spooled`.
+ *
+ * @param {Function} request
+ * @param {Object[]} hits `{ payload, since }`
+ * @param {Function} fn
+ */
+
+GA.prototype.deliver = function(request, hits, fn){
+  var spool = this.spool;
+  var self = this;
+
+  this.attempt(request, hits, function(err, res){
+    if (!err || !spool || !retry.retryable(err)) return fn(err, res);
+    spool.write(hits.map(self.age, self), function(e){
+      if (e) self.debug('could not spool %d hits: %s', hits.length, e.message);
+      else err.spooled = true;
+      fn(err, res);
+    });
+  });
+};
+
+/**
+ * Run `request(done)` for `hits` once the limiter allows it, retrying
+ * transient errors with backoff, without spooling. Batches take the
+ * tokens of each of their tracking ids.
+ *
+ * @param {Function} request
+ * @param {Object[]} hits
+ * @param {Function} fn
+ */
+
+GA.prototype.attempt = function(request, hits, fn){
+  var limiter = this.limiter;
+  var counts = {};
+
+  hits.forEach(function(hit){
+    var tid = hit.payload.tid;
+    counts[tid] = (counts[tid] || 0) + 1;
+  });
+
+  retry({
+    retries: this.settings.retries,
+    minDelay: this.settings.retryMinDelay,
+    maxDelay: this.settings.retryMaxDelay
+  }, function(done){
+    limiter.schedule(counts, request, done);
+  }, fn);
+};
+
+/**
+ * Send `payload` to the validation server.
+ *
+ * The validation server responds with a `hitParsingResult` for the hit,
+ * if it is invalid `fn` gets an error listing the parser messages and
+ * the offending parameters as `err.parameters`. Responses without
+ * a `hitParsingResult` are errors too.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/v1/validating-hits
+ *
+ * @param {Object} payload
+ * @param {Function} fn
+ */
+
+GA.prototype.sendDebug = function(payload, fn){
+  var self = this;
+  return this
+    .post(DEBUG_ENDPOINT)
+    .type('form')
+    .send(payload)
+    .buffer()
+    .end(this.handle(function(err, res){
+      if (err) return fn(err, res);
+      var body;
+
+      try {
+        body = res.body && res.body.hitParsingResult
+          ? res.body
+          : JSON.parse(res.text);
+      } catch (e) {
+        return fn(e, res);
+      }
+
+      if (!body || !Array.isArray(body.hitParsingResult)) {
+        return fn(self.error('unexpected validation server response'), res);
+      }
+
+      var messages = [];
+      body.hitParsingResult.forEach(function(result){
+        if (result.valid) return;
+        (result.parserMessage || []).forEach(function(message){
+          if ('ERROR' == message.messageType) messages.push(message);
+        });
+      });
+
+      if (!messages.length) return fn(null, res);
+
+      var err = self.error('invalid hit: %s', messages.map(describe).join(', '));
+      err.parameters = messages
+        .map(function(message){ return message.parameter; })
+        .filter(Boolean);
+      err.messages = messages;
+      fn(err, res);
+    }));
+};
+
+/**
+ * Flush queued hits, if batching.
+ *
+ * @api public
+ */
+
+GA.prototype.flush = function(){
+  if (this.queue) this.queue.flush();
+};
+
+/**
+ * Replay the hits spooled to `settings.deadLetterFile`, calling
+ * `fn(err, { sent, spooled, dropped })`.
+ *
+ * Hits are sent one by one without spooling them again on failure,
+ * the spool keeps the ones still failing.
+ *
+ * @api public
+ * @param {Function} fn
+ */
+
+GA.prototype.replay = function(fn){
+  if (!this.spool) return setImmediate(fn, null, { sent: 0, spooled: 0, dropped: 0 });
+  var self = this;
+  this.spool.replay(function(payload, done){
+    var hit = { payload: payload, since: Date.now() };
+    self.attempt(self.collect(hit), [hit], done);
+  }, fn);
+};
+
+/**
+ * Build the requests `message` would be sent as, without sending them:
+ * `{ endpoint, method, headers, body }` with the form encoded body.
+ *
+ * Hits are routed, fanned out and scrubbed like sent hits, and the
+ * invalid or dropped ones are left out. When batching, hits are split
+ * into batches the way the queue splits them. Orders are previewed
+ * whether or not they were already delivered.
+ *
+ * @api public
+ * @param {Facade} message
+ * @return {Object[]}
+ */
+
+GA.prototype.preview = function(message){
+  var settings = this.settings;
+  var hits = [];
+
+  [].concat(map(message, settings)).forEach(function(payload){
+    properties(message, payload, settings).forEach(function(tid){
+      var scrubbed = scrub(extend({}, payload, { tid: tid }), settings);
+      if (scrubbed.drop || validate(scrubbed.payload)) return;
+      hits.push(scrubbed.payload);
+    });
+  });
+
+  var endpoint = settings.debug ? DEBUG_ENDPOINT : this.endpoint;
+  var bodies = [];
+
+  if (!this.queue) {
+    bodies = hits.map(Queue.encode);
+  } else {
+    // split batches the way the queue does, leaving out oversized hits
+    endpoint = BATCH_ENDPOINT;
+    var queue = new Queue({ size: this.queue.size, interval: this.queue.interval }, function(batch){
+      bodies.push(batch.map(function(hit){ return Queue.encode(hit.payload); }).join('\n'));
+    });
+    hits.forEach(function(payload){ queue.push(payload, function(){}); });
+    queue.flush();
+  }
+
+  return bodies.map(function(body){
+    return {
+      endpoint: endpoint,
+      method: 'POST',
+      headers: {
+        'User-Agent': 'Segment.io/1.0',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: body
+    };
+  });
 };
 
 /**
@@ -115,3 +699,90 @@ GA.prototype._headers = function(message){
     'User-Agent': message.userAgent() || 'not set'
   };
 };
+
+/**
+ * Map `message` to the hit, or hits, its handler sends,
+ * none when there is no handler.
+ *
+ * Ecommerce events are routed to their handler first,
+ * like the integration routes them.
+ *
+ * @param {Facade} message
+ * @param {Object} settings
+ * @return {Object|Object[]}
+ */
+
+function map(message, settings){
+  var type = message.type();
+  if (!GA.prototype[type]) return [];
+  if ('track' != type) return mapper[type](message, settings);
+
+  for (var method in events) {
+    if (GA.prototype[method] && events[method].test(message.event())) {
+      return mapper[method](message, settings);
+    }
+  }
+
+  return mapper[mapper.hitType(message, settings) || 'track'](message, settings);
+}
+
+/**
+ * Get the tracking IDs `payload` of `message` is sent to, its own
+ * first then the `settings.additionalTrackingIds` matching `message`.
+ *
+ * @param {Facade} message
+ * @param {Object} payload
+ * @param {Object} settings
+ * @return {String[]}
+ */
+
+function properties(message, payload, settings){
+  return [payload.tid].concat(trackingIds(message, settings).filter(function(tid){
+    return tid !== payload.tid;
+  }));
+}
+
+/**
+ * Describe a validation server parser `message`.
+ *
+ * @param {Object} message
+ * @return {String}
+ */
+
+function describe(message){
+  if (!message.parameter) return message.description;
+  return fmt('%s (%s)', message.description, message.parameter);
+}
+
+/**
+ * Reject the invalid hit `payload` for `reason`, flagging hits
+ * too old for GA with `err.expired`.
+ *
+ * @api private
+ * @param {GA} self
+ * @param {Object} payload
+ * @param {String} reason
+ * @return {Error}
+ */
+
+function invalid(self, payload, reason){
+  var err = self.reject('invalid %s hit: %s', payload.t, reason);
+  if (validate.expired(payload)) err.expired = true;
+  return err;
+}
+
+/**
+ * Wrap `fn` to report the `count` of scrubbed values in its response.
+ *
+ * @api private
+ * @param {Function} fn
+ * @param {Number} count
+ * @return {Function}
+ */
+
+function reported(fn, count){
+  if (!count) return fn;
+  return function(err, res){
+    fn(err, scrub.report(res, count));
+  };
+}
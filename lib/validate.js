@@ -0,0 +1,195 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var fmt = require('util').format;
+
+/**
+ * Required parameters by hit type.
+ *
+ * https://developers.google.com/analytics/devguides/collection/protocol/v1/parameters
+ */
+
+var required = {
+  event: ['ec', 'ea'],
+  transaction: ['ti'],
+  item: ['ti', 'in'],
+  screenview: ['cd'],
+  timing: ['utc', 'utv', 'utt'],
+  social: ['sn', 'sa', 'st']
+};
+
+/**
+ * Max byte length of parameters.
+ */
+
+var lengths = {
+  dl: 2048,
+  dr: 2048,
+  dp: 2048,
+  dh: 100,
+  dt: 1500,
+  cd: 2048,
+  cn: 100,
+  cs: 100,
+  cm: 50,
+  ck: 500,
+  cc: 500,
+  ci: 100,
+  sr: 20,
+  vp: 20,
+  sd: 20,
+  de: 20,
+  fl: 20,
+  ul: 20,
+  an: 100,
+  av: 100,
+  aid: 150,
+  aiid: 150,
+  ec: 150,
+  ea: 500,
+  el: 500,
+  ti: 500,
+  ta: 500,
+  in: 500,
+  ic: 500,
+  iv: 500,
+  cu: 10,
+  tcc: 500,
+  utc: 150,
+  utv: 500,
+  utl: 500,
+  exd: 150,
+  sn: 50,
+  sa: 50,
+  st: 2048,
+  col: 500
+};
+
+/**
+ * Max byte length of indexed parameters.
+ */
+
+var indexed = [
+  [/^cd\d+$/, 150],
+  [/^pr\d+(id|nm|br|ca|va|cc)$/, 500]
+];
+
+/**
+ * Integer only parameters.
+ */
+
+var integers = ['ev', 'qt', 'utt'];
+
+/**
+ * Max custom dimension and metric index.
+ */
+
+var MAX_INDEX = 200;
+
+/**
+ * Max queue time GA processes, 4 hours.
+ */
+
+var MAX_QUEUE_TIME = 4 * 60 * 60 * 1000;
+
+/**
+ * Validate a Measurement Protocol hit `payload`.
+ *
+ * Example:
+ *
+ *    validate({ v: 1, tid: 'UA-1-1', cid: 1, t: 'event', ea: 'a' });
+ *    // => '"ec" is required for event hits'
+ *
+ * @api public
+ * @param {Object} payload
+ * @return {String|undefined} reason the hit is invalid
+ */
+
+module.exports = function(payload){
+  var keys = ['v', 'tid', 't'].concat(required[payload.t] || []);
+  if ('purchase' == payload.pa || 'refund' == payload.pa) keys.push('ti');
+
+  for (var i = 0; i < keys.length; ++i) {
+    if (empty(payload[keys[i]])) return fmt('"%s" is required for %s hits', keys[i], payload.t);
+  }
+
+  if (empty(payload.cid) && empty(payload.uid)) return '"cid" or "uid" is required';
+
+  for (var key in payload) {
+    var value = payload[key];
+    if (value == null) continue;
+
+    var max = limit(key);
+    if (max && Buffer.byteLength(String(value)) > max) {
+      return fmt('"%s" must be at most %d bytes', key, max);
+    }
+
+    if (~integers.indexOf(key) && !isInteger(value)) {
+      return fmt('"%s" must be an integer, got "%s"', key, value);
+    }
+
+    if ('qt' == key && value > MAX_QUEUE_TIME) {
+      return fmt('"qt" must be at most %d ms, the hit is too old', MAX_QUEUE_TIME);
+    }
+
+    var match = key.match(/^c[dm](\d+)$/);
+    if (match && (match[1] < 1 || match[1] > MAX_INDEX)) {
+      return fmt('"%s" index must be between 1 and %d', key, MAX_INDEX);
+    }
+  }
+};
+
+/**
+ * Check whether the hit `payload` is too old for GA to process, that
+ * is it was queued for more than 4 hours.
+ *
+ * @api public
+ * @param {Object} payload
+ * @return {Boolean}
+ */
+
+module.exports.expired = function(payload){
+  return Number(payload.qt) > MAX_QUEUE_TIME;
+};
+
+/**
+ * Get the max byte length of `key`.
+ *
+ * @api private
+ * @param {String} key
+ * @return {Number|undefined}
+ */
+
+function limit(key){
+  if (lengths.hasOwnProperty(key)) return lengths[key];
+  for (var i = 0; i < indexed.length; ++i) {
+    if (indexed[i][0].test(key)) return indexed[i][1];
+  }
+}
+
+/**
+ * Check whether `value` is empty.
+ *
+ * @api private
+ * @param {Mixed} value
+ * @return {Boolean}
+ */
+
+function empty(value){
+  return value == null || '' === value;
+}
+
+/**
+ * Check whether `value` is an integer.
+ *
+ * @api private
+ * @param {Mixed} value
+ * @return {Boolean}
+ */
+
+function isInteger(value){
+  return /^-?\d+$/.test(String(value));
+}
@@ -1,6 +1,9 @@
 'use strict';
 
 var Test = require('segmentio-integration-tester');
+var assert = require('assert');
+var qs = require('querystring');
+var hash = require('string-hash');
 var helpers = require('./helpers');
 var GoogleAnalytics = require('..');
 
@@ -60,4 +63,40 @@ describe('Google Analytics Classic', function(){
         .end(done);
     });
   });
+
+  describe('.preview()', function(){
+    it('should build the gif request', function(){
+      var track = helpers.track();
+      var requests = ga.preview(track);
+      assert.equal(requests.length, 1);
+      assert.equal(requests[0].endpoint, 'https://ssl.google-analytics.com/__utm.gif');
+      assert.equal(requests[0].method, 'GET');
+      assert.equal(requests[0].headers['User-Agent'], track.userAgent() || 'not set');
+      assert.equal(qs.parse(requests[0].query).utme, ga.classic.formatEvent(track));
+    });
+  });
+
+  describe('consent', function(){
+    beforeEach(function(){
+      settings.consentPolicy = 'anonymous';
+      ga = new GoogleAnalytics(settings);
+    });
+
+    it('should send a random visitor for messages denied consent', function(){
+      var track = helpers.track.bare({ userId: 'user-id', context: { consent: { analytics: false } } });
+      var first = qs.parse(ga.preview(track)[0].query).utmcc;
+      var second = qs.parse(ga.preview(track)[0].query).utmcc;
+      var visitor = first.split('.')[1];
+      assert.notEqual(visitor, second.split('.')[1]);
+      assert.notEqual(visitor, String(hash(track.userId())));
+    });
+
+    it('should ignore the cookie passed in for messages denied consent', function(){
+      var track = helpers.track.bare({
+        context: { consent: { analytics: false } },
+        integrations: { 'Google Analytics': { cookie: '__utma=1.123.1.1.1.1;' } }
+      });
+      assert.notEqual(qs.parse(ga.preview(track)[0].query).utmcc, '__utma=1.123.1.1.1.1;');
+    });
+  });
 });
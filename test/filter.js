@@ -0,0 +1,69 @@
+'use strict';
+
+var assert = require('assert');
+var helpers = require('./helpers');
+var filter = require('../lib/filter');
+
+describe('filter', function(){
+  var track;
+
+  beforeEach(function(){
+    track = helpers.track.bare({ event: 'Viewed Page' });
+  });
+
+  it('should pass messages without filters', function(){
+    assert.equal(filter(track, {}), null);
+  });
+
+  it('should skip messages denied analytics consent', function(){
+    track = helpers.track.bare({ context: { consent: { analytics: false } } });
+    assert.equal(filter(track, {}), 'analytics consent is denied');
+    assert.equal(filter(track, { consentPolicy: 'anonymous' }), null);
+  });
+
+  it('should deny message types', function(){
+    var settings = { typeDenylist: ['identify'] };
+    assert.equal(filter(helpers.identify(), settings), 'type "identify" is denied');
+    assert.equal(filter(track, settings), null);
+  });
+
+  it('should only allow allowlisted events', function(){
+    var settings = { eventAllowlist: ['Signed Up', '/^viewed/i'] };
+    assert.equal(filter(track, settings), null);
+    track = helpers.track.bare({ event: 'Logged In' });
+    assert.equal(filter(track, settings), 'event "Logged In" is not allowed');
+  });
+
+  it('should deny denylisted events', function(){
+    assert.equal(filter(track, { eventDenylist: ['Viewed Page'] }), 'event "Viewed Page" is denied');
+    assert.equal(filter(track, { eventDenylist: ['/Page$/'] }), 'event "Viewed Page" is denied');
+    assert.equal(filter(track, { eventDenylist: ['/page$/'] }), null);
+    assert.equal(filter(track, { eventDenylist: ['/(/', 42] }), null);
+  });
+
+  it('should not filter events of other message types', function(){
+    assert.equal(filter(helpers.page(), { eventAllowlist: ['Signed Up'], sampleRate: 0 }), null);
+  });
+
+  it('should sample users', function(){
+    assert.equal(filter(track, { sampleRate: 1 }), null);
+    assert.equal(filter(track, { sampleRate: 0 }), 'event "Viewed Page" is sampled out');
+  });
+
+  it('should sample users consistently', function(){
+    var settings = { sampleRate: 0.5 };
+    var sent = 0;
+    for (var i = 0; i < 100; ++i) {
+      track = helpers.track.bare({ userId: 'user-' + i });
+      var reason = filter(track, settings);
+      assert.equal(filter(track, settings), reason);
+      if (!reason) sent++;
+    }
+    assert(sent > 30 && sent < 70);
+  });
+
+  it('should prefer per-event sample rates', function(){
+    var settings = { sampleRate: 0, eventSampleRates: { 'Viewed Page': 1 } };
+    assert.equal(filter(track, settings), null);
+  });
+});
@@ -0,0 +1,196 @@
+'use strict';
+
+var Test = require('segmentio-integration-tester');
+var Track = require('segmentio-facade').Track;
+var assert = require('assert');
+var GoogleAnalytics = require('..');
+var mapper = require('../lib/ga4-mapper');
+
+describe('Google Analytics :: GA4', function(){
+  var ga;
+  var settings;
+  var test;
+
+  beforeEach(function(){
+    settings = {
+      serversideGA4: true,
+      measurementId: 'G-XXXXXXXXXX',
+      apiSecret: 'api-secret',
+      clientIdStrategy: 'hash'
+    };
+    ga = new GoogleAnalytics(settings);
+    test = new Test(ga.ga4, __dirname);
+    test.mapper(mapper);
+  });
+
+  it('should have the correct settings', function(){
+    test
+      .name('Google Analytics')
+      .endpoint('https://www.google-analytics.com/mp/collect');
+  });
+
+  describe('mapper', function(){
+    describe('page', function(){
+      it('should map basic page', function(){
+        test.maps('ga4-page-basic', settings);
+      });
+    });
+
+    describe('screen', function(){
+      it('should map basic screen', function(){
+        test.maps('ga4-screen-basic', settings);
+      });
+    });
+
+    describe('track', function(){
+      it('should map basic track', function(){
+        test.maps('ga4-track-basic', settings);
+      });
+    });
+
+    describe('recommended events', function(){
+      it('should map completed order to purchase', function(){
+        test.maps('ga4-completed-order-basic', settings);
+      });
+
+      it('should map products searched to search', function(){
+        test.maps('ga4-products-searched', settings);
+      });
+
+      it('should map product viewed to view_item', function(){
+        test.maps('ga4-product-viewed', settings);
+      });
+
+      it('should map checkout started to begin_checkout', function(){
+        test.maps('ga4-checkout-started', settings);
+      });
+
+      it('should map payment info entered to add_payment_info', function(){
+        test.maps('ga4-payment-info-entered', settings);
+      });
+
+      it('should map order refunded to refund', function(){
+        test.maps('ga4-order-refunded', settings);
+      });
+
+      it('should map promotion clicked to select_promotion', function(){
+        test.maps('ga4-promotion-clicked', settings);
+      });
+    });
+  });
+
+  describe('.track()', function(){
+    it('should get a good response from the API', function(done){
+      var json = test.fixture('ga4-track-basic');
+      test
+        .set(settings)
+        .track(json.input)
+        .sends(json.output)
+        .expects(204, done);
+    });
+  });
+
+  describe('.page()', function(){
+    it('should get a good response from the API', function(done){
+      var json = test.fixture('ga4-page-basic');
+      test
+        .set(settings)
+        .page(json.input)
+        .sends(json.output)
+        .expects(204, done);
+    });
+  });
+
+  describe('.deliver()', function(){
+    it('should retry transient errors', function(done){
+      var calls = 0;
+      settings.retries = 1;
+      settings.retryMinDelay = 1;
+      ga = new GoogleAnalytics(settings);
+      ga.ga4.deliver(function(fn){
+        if (calls++) return fn(null, {});
+        var err = new Error('socket hang up');
+        err.code = 'ECONNRESET';
+        fn(err);
+      }, [{}], function(err){
+        assert.equal(calls, 2);
+        done(err);
+      });
+    });
+
+    it('should queue requests over the cap', function(done){
+      var active = 0;
+      var max = 0;
+      var pending = 3;
+      settings.maxConcurrentRequests = 1;
+      ga = new GoogleAnalytics(settings);
+
+      for (var i = 0; i < 3; ++i) ga.ga4.deliver(request, [{}], next);
+
+      function request(fn){
+        max = Math.max(max, ++active);
+        setTimeout(function(){
+          active--;
+          fn(null, {});
+        }, 2);
+      }
+
+      function next(err){
+        if (err) return done(err);
+        if (--pending) return;
+        assert.equal(max, 1);
+        done();
+      }
+    });
+  });
+
+  describe('.piiPolicy', function(){
+    it('should skip events with pii when "drop"', function(done){
+      var counts = [];
+      settings.piiPolicy = 'drop';
+      settings.sendUserId = true;
+      ga = new GoogleAnalytics(settings);
+      ga.on('scrub', function(count){ counts.push(count); });
+      ga.track(new Track({ event: 'Signed Up', userId: 'jd@segment.com' }), function(err, res){
+        if (err) return done(err);
+        assert.deepEqual(res, { skipped: true, reason: 'signed_up event contains pii', scrubbed: 1 });
+        assert.deepEqual(counts, [1]);
+        done();
+      });
+    });
+
+    it('should send scrubbed events and report the count', function(done){
+      var sent = [];
+      settings.piiPolicy = 'redact';
+      settings.sendUserId = true;
+      ga = new GoogleAnalytics(settings);
+      ga.ga4.post = function(){
+        return {
+          query: function(){ return this; },
+          type: function(){ return this; },
+          send: function(body){ sent.push(body); return this; },
+          end: function(fn){ setImmediate(fn, null, { ok: true }); }
+        };
+      };
+      var track = new Track({ event: 'Signed Up', userId: 'jd@segment.com', properties: { label: 'jd@segment.com' } });
+      ga.track(track, function(err, res){
+        if (err) return done(err);
+        assert.equal(sent[0].user_id, 'REDACTED');
+        assert.equal(sent[0].events[0].params.label, 'REDACTED');
+        assert.equal(res.scrubbed, 2);
+        done();
+      });
+    });
+  });
+
+  describe('.preview()', function(){
+    it('should build the JSON request', function(){
+      var json = test.fixture('ga4-track-basic');
+      var requests = ga.preview(new Track(json.input));
+      assert.equal(requests.length, 1);
+      assert.equal(requests[0].method, 'POST');
+      assert.equal(requests[0].query, 'measurement_id=G-XXXXXXXXXX&api_secret=api-secret');
+      assert.deepEqual(JSON.parse(requests[0].body), json.output);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+var assert = require('assert');
+var importer = require('../lib/importer');
+var PassThrough = require('stream').PassThrough;
+
+describe('importer', function(){
+  var settings;
+  var output;
+  var errors;
+
+  beforeEach(function(){
+    settings = { serversideTrackingId: 'UA-27033709-11', clientIdStrategy: 'hash' };
+    output = collect();
+    errors = collect();
+  });
+
+  function collect(){
+    var stream = new PassThrough();
+    stream.data = '';
+    stream.on('data', function(chunk){ stream.data += chunk; });
+    return stream;
+  }
+
+  function input(messages){
+    var stream = new PassThrough();
+    stream.end(messages.map(function(msg){
+      return 'string' == typeof msg ? msg : JSON.stringify(msg);
+    }).join('\n'));
+    return stream;
+  }
+
+  it('should print the requests of a dry run', function(done){
+    var messages = input([
+      { type: 'track', userId: 'user-id', event: 'Signed Up' },
+      { type: 'page', userId: 'user-id', name: 'Docs' }
+    ]);
+
+    importer(messages, settings, { dryRun: true, output: output }, function(err, counts){
+      if (err) return done(err);
+      assert.deepEqual(counts, { sent: 2, skipped: 0, failed: 0 });
+      var requests = output.data.trim().split('\n').map(JSON.parse);
+      assert.equal(requests.length, 2);
+      assert.equal(requests[0].method, 'POST');
+      assert.equal(requests[0].url, 'https://ssl.google-analytics.com/collect');
+      assert.equal(requests[0].body.ea, 'Signed Up');
+      assert.equal(requests[1].body.t, 'pageview');
+      done();
+    });
+  });
+
+  it('should not send to the validation server in a dry run', function(done){
+    settings.debug = true;
+    var messages = input([{ type: 'track', userId: 'user-id', event: 'Signed Up' }]);
+
+    importer(messages, settings, { dryRun: true, output: output }, function(err, counts){
+      if (err) return done(err);
+      assert.deepEqual(counts, { sent: 1, skipped: 0, failed: 0 });
+      var request = JSON.parse(output.data);
+      assert.equal(request.url, 'https://ssl.google-analytics.com/debug/collect');
+      assert.equal(request.body.ea, 'Signed Up');
+      done();
+    });
+  });
+
+  it('should count skipped and failed messages', function(done){
+    var messages = input([
+      { type: 'page', userId: 'user-id', name: 'Docs', timestamp: '2015-01-01T00:00:00.000Z' },
+      { type: 'alias', userId: 'user-id' },
+      'not json',
+      ''
+    ]);
+
+    importer(messages, settings, { dryRun: true, output: output, errors: errors }, function(err, counts){
+      if (err) return done(err);
+      assert.deepEqual(counts, { sent: 0, skipped: 2, failed: 1 });
+      assert.equal(output.data, '');
+      assert(/^line 1 skipped: invalid pageview hit: "qt"/.test(errors.data));
+      assert(/line 2 skipped: type "alias" is not supported/.test(errors.data));
+      assert(/line 3 failed: /.test(errors.data));
+      done();
+    });
+  });
+
+  it('should count rejected messages as failed', function(done){
+    var messages = input([{ type: 'track', userId: 'user-id', event: 'Signed Up', properties: { value: 'a lot' } }]);
+    importer(messages, settings, { dryRun: true, output: output, errors: errors }, function(err, counts){
+      if (err) return done(err);
+      assert.deepEqual(counts, { sent: 0, skipped: 0, failed: 1 });
+      assert(/^line 1 failed: invalid event hit/.test(errors.data));
+      done();
+    });
+  });
+
+  it('should fail on invalid settings before reading the input', function(done){
+    var messages = input([{ type: 'page', userId: 'user-id', name: 'Docs' }]);
+    importer(messages, {}, { dryRun: true, output: output, errors: errors }, function(err){
+      assert.equal(err.code, 'MESSAGE_REJECTED');
+      assert.equal(errors.data, '');
+      assert.equal(output.data, '');
+      done();
+    });
+  });
+
+  it('should validate the patterns of the settings', function(done){
+    var messages = input([{ type: 'page', userId: 'user-id', name: 'Docs' }]);
+    settings.eventDenylist = ['/(/'];
+    importer(messages, settings, { dryRun: true, output: output, errors: errors }, function(err){
+      assert(/eventDenylist has an invalid pattern/.test(err.message));
+      done();
+    });
+  });
+});
@@ -2,6 +2,8 @@
 
 var Test = require('segmentio-integration-tester');
 var GoogleAnalytics = require('..');
+var assert = require('assert');
+var helpers = require('./helpers');
 var mapper = require('../lib/mapper');
 
 describe('Google Analytics', function(){
@@ -46,5 +48,43 @@ describe('Google Analytics', function(){
       delete settings.mobileTrackingId;
       test.invalid({}, settings);
     });
+
+    it('should be valid with .measurementId and .apiSecret for GA4', function(){
+      test.valid({}, {
+        serversideGA4: true,
+        measurementId: 'G-XXXXXXXXXX',
+        apiSecret: 'api-secret'
+      });
+    });
+
+    it('should be invalid without .apiSecret for GA4', function(){
+      settings.serversideGA4 = true;
+      settings.measurementId = 'G-XXXXXXXXXX';
+      test.invalid({}, settings);
+    });
+
+    it('should be invalid with invalid patterns', function(){
+      settings.eventDenylist = ['/(/'];
+      test.invalid({}, settings);
+    });
+
+    it('should be invalid with .deadLetterFile for GA4 or classic', function(){
+      settings.deadLetterFile = '/tmp/ga.jsonl';
+      test.valid({}, settings);
+      settings.serversideClassic = true;
+      test.invalid({}, settings);
+    });
+  });
+
+  describe('filtering', function(){
+    it('should skip filtered messages', function(done){
+      settings.eventDenylist = ['Bear tracks'];
+      ga = new GoogleAnalytics(settings);
+      ga.track(helpers.track.bare(), function(err, res){
+        if (err) return done(err);
+        assert.deepEqual(res, { skipped: true, reason: 'event "Bear tracks" is denied' });
+        done();
+      });
+    });
   });
 });
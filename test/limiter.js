@@ -0,0 +1,119 @@
+'use strict';
+
+var assert = require('assert');
+var Limiter = require('../lib/limiter');
+
+describe('Limiter', function(){
+  it('should run tasks right away without limits', function(){
+    var limiter = new Limiter();
+    var ran = 0;
+    for (var i = 0; i < 100; ++i) {
+      limiter.schedule({ 'UA-1-1': 1 }, function(done){
+        ran++;
+        done();
+      }, function(){});
+    }
+    assert.equal(ran, 100);
+  });
+
+  it('should queue hits over the burst until tokens refill', function(done){
+    var limiter = new Limiter({ rate: 100, burst: 2 });
+    var start = Date.now();
+    var times = [];
+
+    for (var i = 0; i < 3; ++i) {
+      limiter.schedule({ 'UA-1-1': 1 }, function(fn){
+        times.push(Date.now() - start);
+        fn();
+      }, next);
+    }
+
+    function next(){
+      if (times.length < 3) return;
+      assert(times[0] < 5);
+      assert(times[1] < 5);
+      assert(times[2] >= 8);
+      done();
+    }
+  });
+
+  it('should keep a bucket per key', function(){
+    var limiter = new Limiter({ rate: 1, burst: 1 });
+    var ran = [];
+    ['UA-1-1', 'UA-1-1', 'UA-2-1'].forEach(function(key){
+      var hits = {};
+      hits[key] = 1;
+      limiter.schedule(hits, function(fn){
+        ran.push(key);
+        fn();
+      }, function(){});
+    });
+    assert.deepEqual(ran, ['UA-1-1', 'UA-2-1']);
+    clearTimeout(limiter.timer);
+  });
+
+  it('should cap the requests in flight', function(done){
+    var limiter = new Limiter({ concurrency: 2 });
+    var active = 0;
+    var max = 0;
+    var pending = 5;
+
+    for (var i = 0; i < 5; ++i) {
+      limiter.schedule({ 'UA-1-1': 1 }, function(fn){
+        max = Math.max(max, ++active);
+        setTimeout(function(){
+          active--;
+          fn(null, 'res');
+        }, 2);
+      }, next);
+    }
+
+    function next(err, res){
+      assert.equal(res, 'res');
+      if (--pending) return;
+      assert.equal(max, 2);
+      done();
+    }
+  });
+
+  it('should take the tokens of every key of a task', function(){
+    var limiter = new Limiter({ rate: 1, burst: 2 });
+    var ran = [];
+    limiter.schedule({ 'UA-1-1': 1, 'UA-2-1': 2 }, function(fn){
+      ran.push('batch');
+      fn();
+    }, function(){});
+    limiter.schedule({ 'UA-1-1': 1 }, function(fn){
+      ran.push('UA-1-1');
+      fn();
+    }, function(){});
+    limiter.schedule({ 'UA-2-1': 1 }, function(fn){
+      ran.push('UA-2-1');
+      fn();
+    }, function(){});
+    assert.deepEqual(ran, ['batch', 'UA-1-1']);
+    clearTimeout(limiter.timer);
+  });
+
+  it('should not let later hits of a key overtake a waiting batch', function(done){
+    var limiter = new Limiter({ rate: 200, burst: 4 });
+    var ran = [];
+
+    limiter.schedule({ 'UA-1-1': 3 }, task('first'), function(){});
+    limiter.schedule({ 'UA-1-1': 4 }, task('batch'), function(){});
+    for (var i = 0; i < 3; ++i) limiter.schedule({ 'UA-1-1': 1 }, task('hit'), next);
+
+    function task(name){
+      return function(fn){
+        ran.push(name);
+        fn();
+      };
+    }
+
+    function next(){
+      if (ran.length < 5) return;
+      assert.deepEqual(ran, ['first', 'batch', 'hit', 'hit', 'hit']);
+      done();
+    }
+  });
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+var assert = require('assert');
+var patterns = require('../lib/patterns');
+
+describe('patterns', function(){
+  describe('.compile()', function(){
+    it('should compile the patterns of the settings', function(){
+      var settings = patterns.compile({
+        eventDenylist: ['Signed Up', '/^viewed/gi'],
+        eventRules: [{ match: { pattern: '^Signed' }, action: 'signup' }],
+        piiPatterns: ['/ssn-\\d+/i']
+      });
+      assert.equal(settings.eventDenylist[0], 'Signed Up');
+      assert.deepEqual(settings.eventDenylist[1], /^viewed/i);
+      assert.deepEqual(settings.eventRules[0].match.pattern, /^Signed/);
+      assert.deepEqual(settings.piiPatterns[0], /ssn-\d+/gi);
+    });
+
+    it('should compile invalid patterns to null', function(){
+      var settings = patterns.compile({ eventAllowlist: ['/(/', 42], piiPatterns: ['['] });
+      assert.deepEqual(settings.eventAllowlist, [null, null]);
+      assert.deepEqual(settings.piiPatterns, [null]);
+    });
+  });
+
+  describe('.check()', function(){
+    it('should pass valid patterns', function(){
+      assert.equal(patterns.check({ eventDenylist: ['/^a/'], eventRules: [{ match: { event: 'a' } }] }), null);
+    });
+
+    it('should report invalid patterns', function(){
+      assert.equal(patterns.check({ eventDenylist: ['a', '/(/'] }), 'eventDenylist has an invalid pattern "/(/"');
+      assert.equal(patterns.check({ eventAllowlist: [42] }), 'eventAllowlist has an invalid pattern 42');
+      assert.equal(patterns.check({ eventRules: [{ match: { pattern: '(' } }] }), 'eventRules has an invalid pattern "("');
+      assert.equal(patterns.check({ piiPatterns: ['['] }), 'piiPatterns has an invalid pattern "["');
+    });
+  });
+});
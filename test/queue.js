@@ -0,0 +1,84 @@
+'use strict';
+
+var assert = require('assert');
+var Queue = require('../lib/queue');
+
+describe('Queue', function(){
+  var batches;
+  var queue;
+
+  beforeEach(function(){
+    batches = [];
+    queue = new Queue({ size: 3, interval: 10 }, function(hits, fn){
+      batches.push(body(hits));
+      setImmediate(fn, null, { status: 200 });
+    });
+  });
+
+  function body(hits){
+    return hits.map(function(hit){ return Queue.encode(hit.payload); }).join('\n');
+  }
+
+  it('should flush once `size` hits are queued', function(done){
+    var pending = 3;
+    for (var i = 0; i < 3; ++i) queue.push({ v: 1, t: 'event', ea: i }, next);
+
+    function next(err, res){
+      if (err) return done(err);
+      assert.equal(res.status, 200);
+      if (--pending) return;
+      assert.deepEqual(batches, ['v=1&t=event&ea=0\nv=1&t=event&ea=1\nv=1&t=event&ea=2']);
+      done();
+    }
+  });
+
+  it('should flush after `interval` ms', function(done){
+    queue.push({ v: 1, t: 'pageview' }, function(err){
+      if (err) return done(err);
+      assert.deepEqual(batches, ['v=1&t=pageview']);
+      done();
+    });
+  });
+
+  it('should never send more than 20 hits per batch', function(){
+    queue = new Queue({ size: 50 }, function(hits){ batches.push(body(hits)); });
+    for (var i = 0; i < 21; ++i) queue.push({ v: 1 }, function(){});
+    queue.flush();
+    assert.equal(batches.length, 2);
+    assert.equal(batches[0].split('\n').length, 20);
+    assert.equal(batches[1].split('\n').length, 1);
+  });
+
+  it('should never send more than 16KB per batch', function(){
+    var label = new Array(7 * 1024).join('a');
+    for (var i = 0; i < 3; ++i) queue.push({ el: label }, function(){});
+    queue.flush();
+    assert.equal(batches.length, 2);
+    assert.equal(batches[0].split('\n').length, 2);
+    assert.equal(batches[1].split('\n').length, 1);
+  });
+
+  it('should reject hits over 8KB', function(done){
+    var label = new Array(9 * 1024).join('a');
+    queue.push({ el: label }, function(err){
+      assert(err);
+      assert.equal(batches.length, 0);
+      done();
+    });
+  });
+
+  it('should remember when hits were queued', function(){
+    var hits;
+    var now = Date.now();
+    queue = new Queue({ size: 1 }, function(batch){ hits = batch; });
+    queue.push({ v: 1 }, function(){});
+    assert.deepEqual(hits[0].payload, { v: 1 });
+    assert(hits[0].since >= now);
+  });
+
+  it('should skip empty values', function(){
+    queue.push({ v: 1, ni: undefined, dr: null }, function(){});
+    queue.flush();
+    assert.deepEqual(batches, ['v=1']);
+  });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+var assert = require('assert');
+var retry = require('../lib/retry');
+
+describe('retry', function(){
+  var options = { retries: 2, minDelay: 1, maxDelay: 2 };
+
+  function error(props){
+    var err = new Error('error');
+    for (var key in props) err[key] = props[key];
+    return err;
+  }
+
+  it('should retry transient errors', function(done){
+    var calls = 0;
+    retry(options, function(fn){
+      if (++calls < 3) return fn(error({ code: 'ECONNRESET' }));
+      fn(null, 'res');
+    }, function(err, res){
+      assert.equal(err, null);
+      assert.equal(res, 'res');
+      assert.equal(calls, 3);
+      done();
+    });
+  });
+
+  it('should give up after `retries`', function(done){
+    var calls = 0;
+    retry(options, function(fn){
+      calls++;
+      fn(error({ status: 503 }));
+    }, function(err){
+      assert.equal(err.status, 503);
+      assert.equal(calls, 3);
+      done();
+    });
+  });
+
+  it('should not retry permanent errors', function(done){
+    var calls = 0;
+    retry(options, function(fn){
+      calls++;
+      fn(error({ status: 400 }));
+    }, function(err){
+      assert.equal(err.status, 400);
+      assert.equal(calls, 1);
+      done();
+    });
+  });
+
+  it('should classify retryable errors', function(){
+    assert(retry.retryable(error({ status: 500 })));
+    assert(retry.retryable(error({ status: 429 })));
+    assert(retry.retryable(error({ timeout: 1000 })));
+    assert(retry.retryable(error({ code: 'ETIMEDOUT' })));
+    assert(retry.retryable(error({ code: 'ENOTFOUND' })));
+    assert(retry.retryable(error({ code: 'EAI_AGAIN' })));
+    assert(!retry.retryable(error({ status: 404 })));
+    assert(!retry.retryable(error({ code: 'MESSAGE_REJECTED' })));
+    assert(!retry.retryable(null));
+  });
+
+  it('should back off exponentially up to the max delay', function(){
+    for (var i = 0; i < 20; ++i) {
+      assert(retry.delay(0, { minDelay: 100 }) <= 100);
+      assert(retry.delay(3, { minDelay: 100 }) <= 800);
+      assert(retry.delay(20, { minDelay: 100, maxDelay: 1000 }) <= 1000);
+    }
+  });
+});
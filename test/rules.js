@@ -0,0 +1,57 @@
+'use strict';
+
+var assert = require('assert');
+var helpers = require('./helpers');
+var rules = require('../lib/rules');
+
+describe('rules', function(){
+  var track;
+
+  beforeEach(function(){
+    track = helpers.track.bare({
+      event: 'Signed Up',
+      properties: { plan: 'pro', seats: 3 }
+    });
+  });
+
+  it('should ignore missing rules', function(){
+    assert.equal(rules(track), null);
+  });
+
+  it('should match exact event names', function(){
+    assert.deepEqual(rules(track, [
+      { match: { event: 'Signed' }, category: 'a' },
+      { match: { event: 'Signed Up' }, category: 'b' }
+    ]), { category: 'b', action: undefined, label: undefined, value: undefined });
+  });
+
+  it('should match event name patterns', function(){
+    var rule = rules(track, [{ match: { pattern: '^Signed' }, action: 'signup' }]);
+    assert.equal(rule.action, 'signup');
+  });
+
+  it('should match properties', function(){
+    assert(rules(track, [{ match: { property: 'plan' } }]));
+    assert(rules(track, [{ match: { property: 'plan', equals: 'pro' } }]));
+    assert.equal(rules(track, [{ match: { property: 'plan', equals: 'free' } }]), null);
+    assert.equal(rules(track, [{ match: { property: 'coupon' } }]), null);
+  });
+
+  it('should use the first matching rule', function(){
+    var rule = rules(track, [
+      { match: { pattern: 'Up$' }, category: 'first' },
+      { match: { event: 'Signed Up' }, category: 'second' }
+    ]);
+    assert.equal(rule.category, 'first');
+  });
+
+  it('should read fields from properties', function(){
+    var rule = rules(track, [{
+      match: { event: 'Signed Up' },
+      label: { property: 'plan' },
+      value: { property: 'seats' }
+    }]);
+    assert.equal(rule.label, 'pro');
+    assert.equal(rule.value, 3);
+  });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+var assert = require('assert');
+var scrub = require('../lib/scrub');
+
+describe('scrub', function(){
+  var payload;
+
+  beforeEach(function(){
+    payload = {
+      v: 1,
+      tid: 'UA-27033709-11',
+      cid: 2710159508,
+      t: 'event',
+      dp: '/signup?email=jd%40segment.com',
+      el: 'call +14155550100',
+      cd1: '(415) 555-0100',
+      ev: 5
+    };
+  });
+
+  it('should not scrub without a policy', function(){
+    var ret = scrub(payload, {});
+    assert.equal(ret.count, 0);
+    assert.equal(ret.payload, payload);
+  });
+
+  it('should redact emails and phone numbers', function(){
+    var ret = scrub(payload, { piiPolicy: 'redact' });
+    assert.equal(ret.count, 3);
+    assert.equal(ret.drop, false);
+    assert.deepEqual(ret.payload, {
+      v: 1,
+      tid: 'UA-27033709-11',
+      cid: 2710159508,
+      t: 'event',
+      dp: '/signup?email=REDACTED',
+      el: 'call REDACTED',
+      cd1: 'REDACTED',
+      ev: 5
+    });
+  });
+
+  it('should hash matches', function(){
+    var ret = scrub({ uid: 'jd@segment.com' }, { piiPolicy: 'hash' });
+    assert.equal(ret.count, 1);
+    assert.equal(ret.payload.uid, '48a96557c214676b4e1900378ae5ea46df31b603bc9535fc50a56d0f54e076f8');
+  });
+
+  it('should drop hits with matches when "drop"', function(){
+    assert.equal(scrub(payload, { piiPolicy: 'drop' }).drop, true);
+    assert.equal(scrub({ dp: '/pricing' }, { piiPolicy: 'drop' }).drop, false);
+  });
+
+  it('should scrub custom patterns', function(){
+    var settings = { piiPolicy: 'redact', piiPatterns: ['/ssn-\\d+/i', 'token=\\w+'] };
+    var ret = scrub({ dp: '/?SSN-123&token=abc' }, settings);
+    assert.equal(ret.count, 2);
+    assert.equal(ret.payload.dp, '/?REDACTED&REDACTED');
+  });
+
+  it('should not scrub structural params', function(){
+    var ret = scrub({ cid: '415-555-0100', ua: 'jd@segment.com' }, { piiPolicy: 'redact' });
+    assert.equal(ret.count, 0);
+  });
+
+  describe('.ga4()', function(){
+    it('should scrub the user id and event params', function(){
+      var ret = scrub.ga4({
+        client_id: 'jd@segment.com',
+        user_id: 'jd@segment.com',
+        events: [{ name: 'signed_up', params: { label: 'call +14155550100', value: 5 } }]
+      }, { piiPolicy: 'redact' });
+      assert.equal(ret.count, 2);
+      assert.equal(ret.payload.client_id, 'jd@segment.com');
+      assert.equal(ret.payload.user_id, 'REDACTED');
+      assert.deepEqual(ret.payload.events[0].params, { label: 'call REDACTED', value: 5 });
+    });
+
+    it('should drop payloads with pii when "drop"', function(){
+      var payload = { client_id: '1', events: [{ name: 'page_view', params: { page_location: '/?email=jd%40segment.com' } }] };
+      assert.equal(scrub.ga4(payload, { piiPolicy: 'drop' }).drop, true);
+      assert.equal(scrub.ga4(payload, {}).payload, payload);
+    });
+  });
+
+  describe('.report()', function(){
+    it('should add the count to a copy of the response', function(){
+      var res = { ok: true };
+      var ret = scrub.report(res, 2);
+      assert.equal(ret.scrubbed, 2);
+      assert.equal(ret.ok, true);
+      assert.equal(res.scrubbed, undefined);
+      assert.equal(scrub.report(res, 0), res);
+    });
+  });
+});
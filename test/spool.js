@@ -0,0 +1,85 @@
+'use strict';
+
+var assert = require('assert');
+var Spool = require('../lib/spool');
+var path = require('path');
+var os = require('os');
+var fs = require('fs');
+
+describe('Spool', function(){
+  var spool;
+  var file;
+
+  beforeEach(function(){
+    file = path.join(os.tmpdir(), 'ga-spool-' + process.pid + '-' + Date.now() + '.jsonl');
+    spool = new Spool(file);
+  });
+
+  afterEach(function(){
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  });
+
+  function error(props){
+    var err = new Error('error');
+    for (var key in props) err[key] = props[key];
+    return err;
+  }
+
+  it('should append hits as json lines', function(done){
+    spool.write([{ t: 'event', ea: 'a' }, { t: 'event', ea: 'b' }], function(err){
+      if (err) return done(err);
+      var lines = fs.readFileSync(file, 'utf8').split('\n');
+      assert.equal(lines.length, 3);
+      assert.deepEqual(JSON.parse(lines[1]).payload, { t: 'event', ea: 'b' });
+      assert.equal(typeof JSON.parse(lines[0]).time, 'number');
+      done();
+    });
+  });
+
+  it('should replay nothing without a spool file', function(done){
+    spool.replay(function(){
+      done(new Error('should not send'));
+    }, function(err, counts){
+      if (err) return done(err);
+      assert.deepEqual(counts, { sent: 0, spooled: 0, dropped: 0 });
+      done();
+    });
+  });
+
+  it('should replay hits, keeping the ones failing again', function(done){
+    var sent = [];
+    spool.write([{ t: 'event', ea: 'a' }, { t: 'event', ea: 'b', qt: 2000 }, { t: 'event', ea: 'c' }], function(err){
+      if (err) return done(err);
+      spool.replay(function(payload, fn){
+        sent.push(payload);
+        if ('b' == payload.ea) return fn(error({ code: 'ECONNRESET' }));
+        if ('c' == payload.ea) return fn(error({ code: 'MESSAGE_REJECTED' }));
+        fn(null, {});
+      }, function(err, counts){
+        if (err) return done(err);
+        assert.deepEqual(counts, { sent: 1, spooled: 1, dropped: 1 });
+        assert.equal(sent.length, 3);
+        assert(sent[1].qt >= 2000);
+        var lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+        assert.equal(lines.length, 1);
+        assert.deepEqual(JSON.parse(lines[0]).payload, { t: 'event', ea: 'b', qt: 2000 });
+        done();
+      });
+    });
+  });
+
+  it('should drop malformed lines', function(done){
+    var sent = [];
+    fs.writeFileSync(file, JSON.stringify({ time: Date.now(), payload: { t: 'event', ea: 'a' } }) + '\n{"time":');
+    spool.replay(function(payload, fn){
+      sent.push(payload);
+      fn(null, {});
+    }, function(err, counts){
+      if (err) return done(err);
+      assert.deepEqual(counts, { sent: 1, spooled: 0, dropped: 1 });
+      assert.equal(sent.length, 1);
+      assert(!fs.existsSync(file));
+      done();
+    });
+  });
+});
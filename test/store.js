@@ -0,0 +1,84 @@
+'use strict';
+
+var assert = require('assert');
+var Store = require('../lib/store');
+
+describe('Store', function(){
+  var store;
+
+  beforeEach(function(){
+    store = new Store({ max: 2 });
+  });
+
+  it('should get values that were set', function(done){
+    store.set('a', 1, 1000, function(err){
+      if (err) return done(err);
+      store.get('a', function(err, value){
+        assert.equal(value, 1);
+        store.get('b', function(err, value){
+          assert.equal(value, null);
+          done(err);
+        });
+      });
+    });
+  });
+
+  it('should expire keys after their ttl', function(done){
+    store.set('a', 1, 5, function(){
+      setTimeout(function(){
+        store.get('a', function(err, value){
+          assert.equal(value, null);
+          done(err);
+        });
+      }, 10);
+    });
+  });
+
+  it('should evict the least recently used key', function(done){
+    store.set('a', 1, 1000, function(){
+      store.set('b', 2, 1000, function(){
+        store.get('a', function(){
+          store.set('c', 3, 1000, function(){
+            store.get('b', function(err, value){
+              assert.equal(value, null);
+              store.get('a', function(err, value){
+                assert.equal(value, 1);
+                done(err);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should evict expired keys before the least recently used', function(done){
+    store.set('a', 1, 5, function(){
+      store.set('b', 2, 1000, function(){
+        store.get('a', function(){
+          setTimeout(function(){
+            store.set('c', 3, 1000, function(){
+              store.get('b', function(err, value){
+                assert.equal(value, 2);
+                assert.equal(store.size, 2);
+                done(err);
+              });
+            });
+          }, 10);
+        });
+      });
+    });
+  });
+
+  it('should replace the value of a key', function(done){
+    store.set('a', 1, 1000, function(){
+      store.set('a', 2, 1000, function(){
+        store.get('a', function(err, value){
+          assert.equal(value, 2);
+          assert.equal(store.size, 1);
+          done(err);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+var assert = require('assert');
+var helpers = require('./helpers');
+var trackingIds = require('../lib/tracking-ids');
+
+describe('tracking ids', function(){
+  it('should be empty without additional tracking ids', function(){
+    assert.deepEqual(trackingIds(helpers.track.bare(), {}), []);
+  });
+
+  it('should send to every plain tracking id once', function(){
+    var settings = { additionalTrackingIds: ['UA-1-1', 'UA-2-1', 'UA-1-1'] };
+    assert.deepEqual(trackingIds(helpers.track.bare(), settings), ['UA-1-1', 'UA-2-1']);
+  });
+
+  it('should route by app name', function(){
+    var settings = { additionalTrackingIds: [{ trackingId: 'UA-1-1', match: { app: 'Brand' } }] };
+    assert.deepEqual(trackingIds(helpers.track.bare({ context: { app: { name: 'Brand' } } }), settings), ['UA-1-1']);
+    assert.deepEqual(trackingIds(helpers.track.bare({ context: { app: { name: 'Other' } } }), settings), []);
+  });
+
+  it('should route by hostname', function(){
+    var settings = { additionalTrackingIds: [{ trackingId: 'UA-1-1', match: { hostname: 'brand.com' } }] };
+    var track = helpers.track.bare({ context: { page: { url: 'https://brand.com/pricing' } } });
+    assert.deepEqual(trackingIds(track, settings), ['UA-1-1']);
+    track = helpers.track.bare({ properties: { url: 'https://segment.com/pricing' } });
+    assert.deepEqual(trackingIds(track, settings), []);
+  });
+
+  it('should route by property', function(){
+    var settings = { additionalTrackingIds: [{ trackingId: 'UA-1-1', match: { property: 'brand', equals: 'a' } }] };
+    assert.deepEqual(trackingIds(helpers.track.bare({ properties: { brand: 'a' } }), settings), ['UA-1-1']);
+    assert.deepEqual(trackingIds(helpers.track.bare({ properties: { brand: 'b' } }), settings), []);
+  });
+});
@@ -1,9 +1,15 @@
 'use strict';
 
 var Test = require('segmentio-integration-tester');
+var assert = require('assert');
 var helpers = require('./helpers');
 var GoogleAnalytics = require('..');
 var mapper = require('../lib/mapper');
+var Track = require('segmentio-facade').Track;
+var path = require('path');
+var qs = require('querystring');
+var os = require('os');
+var fs = require('fs');
 
 describe('Google Analytics :: Universal', function(){
   var ga;
@@ -14,13 +20,28 @@ describe('Google Analytics :: Universal', function(){
     settings = {
       serversideTrackingId: 'UA-27033709-11',
       mobileTrackingId: 'UA-27033709-23',
-      serversideClassic: false
+      serversideClassic: false,
+      clientIdStrategy: 'hash'
     };
     ga = new GoogleAnalytics(settings);
     test = new Test(ga.universal, __dirname);
     test.mapper(mapper);
   });
 
+  function unavailable(receiver){
+    receiver.post = function(){
+      return {
+        type: function(){ return this; },
+        send: function(){ return this; },
+        end: function(fn){
+          var err = new Error('Service Unavailable');
+          err.status = 503;
+          setImmediate(fn, err, { status: 503 });
+        }
+      };
+    };
+  }
+
   describe('mapper', function(){
     describe('page', function(){
       it('should map basic page', function(){
@@ -35,6 +56,26 @@ describe('Google Analytics :: Universal', function(){
         test.maps('page-campaign', settings);
       });
 
+      it('should map campaign query params of the url', function(){
+        test.maps('page-campaign-url', settings);
+      });
+
+      it('should clean up the url', function(){
+        test.maps('page-url-cleanup', settings);
+      });
+
+      it('should strip the query string', function(){
+        test.maps('page-strip-query', settings);
+      });
+
+      it('should anonymize the ip', function(){
+        test.maps('page-anonymize-ip', settings);
+      });
+
+      it('should map device info and country from context', function(){
+        test.maps('page-device', settings);
+      });
+
       it('should map context.screen', function(){
         test.maps('page-screen', settings);
       });
@@ -46,6 +87,30 @@ describe('Google Analytics :: Universal', function(){
       it('should map page with custom dimensions and metrics', function(){
         test.maps('page-cm-cd', settings);
       });
+
+      it('should map session control from context', function(){
+        test.maps('page-session-control', settings);
+      });
+
+      it('should derive a uuid client id from the anonymous id', function(){
+        test.maps('page-client-id', settings);
+      });
+
+      it('should use a random uuid client id without ids', function(){
+        settings.clientIdStrategy = 'uuid';
+        var a = mapper.track(new Track({ event: 'Signed Up' }), settings);
+        var b = mapper.track(new Track({ event: 'Signed Up' }), settings);
+        assert(/^[0-9a-f]{8}-[0-9a-f]{4}-4/.test(a.cid));
+        assert.notEqual(a.cid, b.cid);
+      });
+
+      it('should use the client id of the _ga cookie', function(){
+        test.maps('page-ga-cookie', settings);
+      });
+
+      it('should map content groups from settings', function(){
+        test.maps('page-content-group', settings);
+      });
     });
 
     describe('track', function(){
@@ -68,6 +133,45 @@ describe('Google Analytics :: Universal', function(){
       it('should map url in track call', function(){
         test.maps('track-url', settings);
       });
+
+      it('should fallback to context.page path and title', function(){
+        test.maps('track-page-context', settings);
+      });
+
+      it('should anonymize ipv6 addresses', function(){
+        test.maps('track-anonymize-ipv6', settings);
+      });
+
+      it('should send messages denied consent anonymously', function(){
+        settings.sendUserId = true;
+        var track = helpers.track.bare({
+          userId: 'user-id',
+          context: { ip: '192.168.1.34', consent: { analytics: false } }
+        });
+        var a = mapper.track(track, settings);
+        var b = mapper.track(track, settings);
+        assert.equal(a.uid, null);
+        assert.equal(a.aip, 1);
+        assert.equal(a.uip, '192.168.1.0');
+        assert(/^[\da-f]{8}-[\da-f]{4}-4[\da-f]{3}-[89ab][\da-f]{3}-[\da-f]{12}$/.test(a.cid));
+        assert.notEqual(a.cid, b.cid);
+      });
+
+      it('should rewrite events with rules', function(){
+        test.maps('track-rules', settings);
+      });
+
+      it('should clamp the queue time of old events to 4 hours', function(){
+        test.maps('track-queue-time', settings);
+      });
+
+      it('should map session control from options', function(){
+        test.maps('track-session-control', settings);
+      });
+
+      it('should apply hit overrides from options', function(){
+        test.maps('track-overrides', settings);
+      });
     });
 
     describe('completed-order', function(){
@@ -88,6 +192,62 @@ describe('Google Analytics :: Universal', function(){
       });
     });
 
+    describe('refunded-order', function(){
+      it('should map a full refund', function(){
+        test.maps('refunded-order-basic', settings);
+      });
+
+      it('should map a partial refund', function(){
+        test.maps('refunded-order-partial', settings);
+      });
+
+      it('should send the refunded amount as revenue, not event value', function(){
+        test.maps('refunded-order-amount', settings);
+      });
+    });
+
+    describe('enhanced ecommerce', function(){
+      it('should map viewed product', function(){
+        test.maps('viewed-product-enhanced', settings);
+      });
+
+      it('should map added product', function(){
+        test.maps('added-product-enhanced', settings);
+      });
+
+      it('should map removed product', function(){
+        test.maps('removed-product-enhanced', settings);
+      });
+
+      it('should map started checkout', function(){
+        test.maps('started-checkout-enhanced', settings);
+      });
+
+      it('should map completed checkout step', function(){
+        test.maps('completed-checkout-step-enhanced', settings);
+      });
+
+      it('should map completed order to a purchase', function(){
+        test.maps('completed-order-enhanced', settings);
+      });
+    });
+
+    describe('identify', function(){
+      it('should map basic identify', function(){
+        test.maps('identify-basic', settings);
+      });
+
+      it('should map identify as a pageview', function(){
+        test.maps('identify-pageview', settings);
+      });
+    });
+
+    describe('group', function(){
+      it('should map basic group', function(){
+        test.maps('group-basic', settings);
+      });
+    });
+
     describe('screen', function(){
       it('should map basic screen', function(){
         test.maps('screen-basic', settings);
@@ -102,6 +262,67 @@ describe('Google Analytics :: Universal', function(){
         test.maps('screen-server-id', settings);
       });
     });
+
+    describe('timing, exception and social', function(){
+      it('should select the hit type by event name', function(){
+        settings.socialEvents = ['Shared Post'];
+        assert.equal(mapper.hitType(helpers.track.bare({ event: 'Timing Completed' }), settings), 'timing');
+        assert.equal(mapper.hitType(helpers.track.bare({ event: 'Application Crashed' }), settings), 'exception');
+        assert.equal(mapper.hitType(helpers.track.bare({ event: 'Shared Post' }), settings), 'social');
+        assert.equal(mapper.hitType(helpers.track.bare({ event: 'Signed Up' }), settings), null);
+      });
+
+      it('should map timing', function(){
+        var track = helpers.track.bare({
+          userId: 'user-id',
+          event: 'Timing Completed',
+          properties: { category: 'API', variable: 'search', time: 123.4, label: 'cold' }
+        });
+        assert.deepEqual(mapper.timing(track, settings), {
+          cid: 2710159508,
+          tid: 'UA-27033709-11',
+          v: 1,
+          utc: 'API',
+          utv: 'search',
+          utt: 123,
+          utl: 'cold',
+          t: 'timing'
+        });
+      });
+
+      it('should map exceptions', function(){
+        var track = helpers.track.bare({
+          userId: 'user-id',
+          event: 'Application Crashed',
+          properties: { message: 'NullPointerException' }
+        });
+        assert.deepEqual(mapper.exception(track, settings), {
+          cid: 2710159508,
+          tid: 'UA-27033709-11',
+          v: 1,
+          exd: 'NullPointerException',
+          exf: 1,
+          t: 'exception'
+        });
+      });
+
+      it('should map social interactions', function(){
+        var track = helpers.track.bare({
+          userId: 'user-id',
+          event: 'Shared Post',
+          properties: { network: 'Twitter', action: 'tweet', target: 'https://segment.com/blog' }
+        });
+        assert.deepEqual(mapper.social(track, settings), {
+          cid: 2710159508,
+          tid: 'UA-27033709-11',
+          v: 1,
+          sn: 'Twitter',
+          sa: 'tweet',
+          st: 'https://segment.com/blog',
+          t: 'social'
+        });
+      });
+    });
   });
 
   describe('.track()', function(){
@@ -186,6 +407,469 @@ describe('Google Analytics :: Universal', function(){
     });
   });
 
+  describe('.completedOrder() errors', function(){
+    it('should send every hit and list the failed ones', function(done){
+      settings.retries = 0;
+      ga = new GoogleAnalytics(settings);
+      unavailable(ga.universal);
+      var json = test.fixture('completed-order-basic');
+      ga.track(new Track(json.input), function(err){
+        assert(err);
+        assert.equal(err.message, '3 of 3 hits failed: transaction 0 (Service Unavailable), item 1 (Service Unavailable), item 2 (Service Unavailable)');
+        assert.equal(err.errors.length, 3);
+        assert.equal(err.errors[2].status, 503);
+        done();
+      });
+    });
+  });
+
+  describe('.maxConcurrentRequests', function(){
+    it('should queue requests over the cap', function(done){
+      var active = 0;
+      var max = 0;
+      var pending = 3;
+      settings.maxConcurrentRequests = 1;
+      ga = new GoogleAnalytics(settings);
+
+      for (var i = 0; i < 3; ++i) {
+        ga.universal.deliver(request, [{ payload: { tid: 'UA-27033709-11' }, since: Date.now() }], next);
+      }
+
+      function request(fn){
+        max = Math.max(max, ++active);
+        setTimeout(function(){
+          active--;
+          fn(null, {});
+        }, 2);
+      }
+
+      function next(err){
+        if (err) return done(err);
+        if (--pending) return;
+        assert.equal(max, 1);
+        done();
+      }
+    });
+  });
+
+  describe('.dedupeStore', function(){
+    it('should skip orders that were already sent', function(done){
+      var keys = [];
+      settings.dedupeStore = {
+        get: function(key, fn){
+          keys.push(key);
+          setImmediate(fn, null, Date.now());
+        },
+        set: function(key, value, ttl, fn){
+          setImmediate(fn);
+        }
+      };
+      ga = new GoogleAnalytics(settings);
+      var json = test.fixture('completed-order-basic');
+      ga.track(new Track(json.input), function(err, res){
+        if (err) return done(err);
+        assert.deepEqual(keys, ['UA-27033709-11:order-id:0', 'UA-27033709-11:order-id:1', 'UA-27033709-11:order-id:2']);
+        assert.deepEqual(res, { skipped: true, reason: 'order "order-id" was already sent' });
+        done();
+      });
+    });
+
+    it('should not remember orders that failed', function(done){
+      settings.retries = 0;
+      ga = new GoogleAnalytics(settings);
+      unavailable(ga.universal);
+      var json = test.fixture('completed-order-basic');
+      ga.track(new Track(json.input), function(err){
+        assert.equal(err.errors[0].status, 503);
+        ga.universal.orders.get('UA-27033709-11:order-id:0', function(err, sent){
+          assert.equal(sent, null);
+          done(err);
+        });
+      });
+    });
+
+    it('should only resend the hits that failed', function(done){
+      var sent = [];
+      var fail = true;
+      settings.additionalTrackingIds = ['UA-27033709-12'];
+      ga = new GoogleAnalytics(settings);
+      ga.universal.send = function(payload, fn){
+        sent.push(payload.tid + ' ' + payload.t);
+        if (fail && 'item' == payload.t && 'UA-27033709-12' == payload.tid) return setImmediate(fn, new Error('boom'));
+        setImmediate(fn, null, {});
+      };
+
+      var json = test.fixture('completed-order-basic');
+      ga.track(new Track(json.input), function(err){
+        assert(err);
+        assert.equal(sent.length, 6);
+        fail = false;
+        sent = [];
+        ga.track(new Track(json.input), function(err){
+          if (err) return done(err);
+          assert.deepEqual(sent.sort(), ['UA-27033709-12 item', 'UA-27033709-12 item']);
+          done();
+        });
+      });
+    });
+
+    it('should send identical orders arriving at once once', function(done){
+      var sent = 0;
+      var pending = 2;
+      ga.universal.send = function(payload, fn){
+        sent++;
+        setImmediate(fn, null, {});
+      };
+
+      var json = test.fixture('completed-order-basic');
+      ga.track(new Track(json.input), next);
+      ga.track(new Track(json.input), next);
+
+      function next(err){
+        if (err) return done(err);
+        if (--pending) return;
+        assert.equal(sent, 3);
+        done();
+      }
+    });
+  });
+
+  describe('queue time', function(){
+    var sent;
+
+    beforeEach(function(){
+      sent = [];
+      ga.universal.post = function(){
+        return {
+          type: function(){ return this; },
+          send: function(body){
+            sent.push(body);
+            return this;
+          },
+          end: function(fn){ setImmediate(fn, null, {}); }
+        };
+      };
+    });
+
+    it('should count the time hits waited before their request', function(done){
+      var hit = { payload: { v: 1, t: 'event', ec: 'All', ea: 'a', tid: 'UA-27033709-11', cid: 1, qt: 2000 }, since: Date.now() - 5000 };
+      ga.universal.collect(hit)(function(err){
+        if (err) return done(err);
+        assert(sent[0].qt >= 7000);
+        assert(sent[0].qt < 8000);
+        done();
+      });
+    });
+
+    it('should count the time batched hits were queued', function(done){
+      var hit = { payload: { v: 1, t: 'event', ec: 'All', ea: 'a', tid: 'UA-27033709-11', cid: 1 }, since: Date.now() - 3000 };
+      ga.universal.sendBatch([hit], function(err){
+        if (err) return done(err);
+        var qt = Number(qs.parse(sent[0]).qt);
+        assert(qt >= 3000 && qt < 4000);
+        done();
+      });
+    });
+
+    it('should reject hits that grew too old when "drop"', function(done){
+      settings.queueTimePolicy = 'drop';
+      ga.universal.settings = settings;
+      var hit = { payload: { v: 1, t: 'event', ec: 'All', ea: 'a', tid: 'UA-27033709-11', cid: 1, qt: 14399000 }, since: Date.now() - 2000 };
+      ga.universal.collect(hit)(function(err){
+        assert.equal(err.code, 'MESSAGE_REJECTED');
+        assert.equal(err.expired, true);
+        assert.equal(sent.length, 0);
+        done();
+      });
+    });
+  });
+
+  describe('.queueTimePolicy', function(){
+    it('should reject events older than 4 hours when "drop"', function(done){
+      settings.queueTimePolicy = 'drop';
+      ga = new GoogleAnalytics(settings);
+      ga.track(helpers.track.bare({ timestamp: new Date('2015-01-01') }), function(err){
+        assert(err);
+        assert.equal(err.code, 'MESSAGE_REJECTED');
+        assert.equal(err.expired, true);
+        done();
+      });
+    });
+  });
+
+  describe('.additionalTrackingIds', function(){
+    it('should aggregate the errors of each property', function(done){
+      settings.retries = 0;
+      settings.additionalTrackingIds = ['UA-27033709-12'];
+      ga = new GoogleAnalytics(settings);
+      unavailable(ga.universal);
+      ga.track(helpers.track.bare(), function(err){
+        assert(err);
+        assert(/^2 of 2 properties failed: UA-27033709-11 \(Service Unavailable\)/.test(err.message));
+        assert.deepEqual(Object.keys(err.errors), ['UA-27033709-11', 'UA-27033709-12']);
+        assert.equal(err.errors['UA-27033709-12'].status, 503);
+        done();
+      });
+    });
+  });
+
+  describe('.deadLetterFile', function(){
+    var file;
+
+    beforeEach(function(){
+      file = path.join(os.tmpdir(), 'ga-dead-letter-' + process.pid + '-' + Date.now() + '.jsonl');
+    });
+
+    afterEach(function(){
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+
+    it('should spool hits still failing after retries', function(done){
+      var calls = 0;
+      settings.deadLetterFile = file;
+      settings.retries = 1;
+      settings.retryMinDelay = 1;
+      ga = new GoogleAnalytics(settings);
+      ga.universal.deliver(function(fn){
+        calls++;
+        var err = new Error('socket hang up');
+        err.code = 'ECONNRESET';
+        fn(err);
+      }, [{ payload: { t: 'event', ea: 'a' }, since: Date.now() }], function(err){
+        assert(err.spooled);
+        assert.equal(calls, 2);
+        var record = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.deepEqual(record.payload, { t: 'event', ea: 'a' });
+        done();
+      });
+    });
+
+    it('should not spool permanent errors', function(done){
+      settings.deadLetterFile = file;
+      ga = new GoogleAnalytics(settings);
+      ga.universal.deliver(function(fn){
+        var err = new Error('bad request');
+        err.status = 400;
+        fn(err);
+      }, [{ payload: { t: 'event', ea: 'a' }, since: Date.now() }], function(err){
+        assert(!err.spooled);
+        assert(!fs.existsSync(file));
+        done();
+      });
+    });
+
+    it('should replay hits without spooling them twice', function(done){
+      var calls = 0;
+      settings.deadLetterFile = file;
+      settings.retries = 0;
+      ga = new GoogleAnalytics(settings);
+      ga.universal.post = function(){
+        return {
+          type: function(){ return this; },
+          send: function(){ return this; },
+          end: function(fn){
+            calls++;
+            var err = new Error('socket hang up');
+            err.code = 'ECONNRESET';
+            setImmediate(fn, err);
+          }
+        };
+      };
+
+      ga.track(helpers.track.bare(), function(err){
+        assert(err.spooled);
+        ga.replay(function(err, counts){
+          if (err) return done(err);
+          assert.deepEqual(counts, { sent: 0, spooled: 1, dropped: 0 });
+          ga.replay(function(err, counts){
+            if (err) return done(err);
+            assert.deepEqual(counts, { sent: 0, spooled: 1, dropped: 0 });
+            assert.equal(calls, 3);
+            assert.equal(fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length, 1);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('.piiPolicy', function(){
+    it('should skip hits with pii when "drop"', function(done){
+      var counts = [];
+      settings.piiPolicy = 'drop';
+      ga = new GoogleAnalytics(settings);
+      ga.on('scrub', function(count){ counts.push(count); });
+      ga.track(helpers.track.bare({ properties: { label: 'jd@segment.com' } }), function(err, res){
+        if (err) return done(err);
+        assert.deepEqual(res, { skipped: true, reason: 'event hit contains pii', scrubbed: 1 });
+        assert.deepEqual(counts, [1]);
+        done();
+      });
+    });
+
+    it('should report the number of scrubbed values', function(done){
+      var sent = [];
+      settings.piiPolicy = 'redact';
+      ga = new GoogleAnalytics(settings);
+      ga.universal.post = function(){
+        return {
+          type: function(){ return this; },
+          send: function(body){ sent.push(body); return this; },
+          end: function(fn){ setImmediate(fn, null, { ok: true }); }
+        };
+      };
+      ga.track(helpers.track.bare({ properties: { label: 'jd@segment.com' } }), function(err, res){
+        if (err) return done(err);
+        assert.equal(sent[0].el, 'REDACTED');
+        assert.equal(res.scrubbed, 1);
+        assert.equal(res.ok, true);
+        done();
+      });
+    });
+  });
+
+  describe('.preview()', function(){
+    it('should build every hit of an order', function(){
+      var json = test.fixture('completed-order-basic');
+      var requests = ga.preview(new Track(json.input));
+      assert.equal(requests.length, 3);
+      requests.forEach(function(req){
+        assert.equal(req.endpoint, 'https://ssl.google-analytics.com/collect');
+        assert.equal(req.method, 'POST');
+        assert.equal(req.headers['Content-Type'], 'application/x-www-form-urlencoded');
+      });
+      assert.deepEqual(requests.map(function(req){ return qs.parse(req.body).t; }), ['transaction', 'item', 'item']);
+      assert.equal(qs.parse(requests[2].body).in, 'sony playstation 4');
+    });
+
+    it('should build a single request when batching', function(){
+      settings.batch = true;
+      ga = new GoogleAnalytics(settings);
+      var json = test.fixture('completed-order-basic');
+      var requests = ga.preview(new Track(json.input));
+      assert.equal(requests.length, 1);
+      assert.equal(requests[0].endpoint, 'https://ssl.google-analytics.com/batch');
+      assert.equal(requests[0].body.split('\n').length, 3);
+    });
+
+    it('should split batches over 16KB', function(){
+      settings.batch = true;
+      settings.additionalTrackingIds = [];
+      for (var i = 12; i < 21; ++i) settings.additionalTrackingIds.push('UA-27033709-' + i);
+      ga = new GoogleAnalytics(settings);
+      var url = 'https://segment.com/?q=' + new Array(2000).join('a');
+      var requests = ga.preview(helpers.page({ properties: { url: url } }));
+      assert.equal(requests.length, 2);
+      requests.forEach(function(req){
+        assert(Buffer.byteLength(req.body) <= 16 * 1024);
+      });
+      assert.equal(requests[0].body.split('\n').length + requests[1].body.split('\n').length, 10);
+    });
+
+    it('should fan out to the additional tracking ids', function(){
+      settings.additionalTrackingIds = ['UA-27033709-12'];
+      ga = new GoogleAnalytics(settings);
+      var requests = ga.preview(helpers.page());
+      assert.deepEqual(requests.map(function(req){ return qs.parse(req.body).tid; }), ['UA-27033709-11', 'UA-27033709-12']);
+    });
+
+    it('should leave out hits that are not sent', function(){
+      settings.piiPolicy = 'drop';
+      ga = new GoogleAnalytics(settings);
+      assert.deepEqual(ga.preview(helpers.track.bare({ properties: { label: 'jd@segment.com' } })), []);
+      assert.deepEqual(ga.preview(helpers.alias()), []);
+    });
+  });
+
+  describe('.identify()', function(){
+    it('should get a good response from the API', function(done){
+      var json = test.fixture('identify-basic');
+      test
+        .set(settings)
+        .set(json.settings)
+        .identify(json.input)
+        .sends(json.output)
+        .expects(200, done);
+    });
+  });
+
+  describe('.group()', function(){
+    it('should get a good response from the API', function(done){
+      var json = test.fixture('group-basic');
+      test
+        .set(settings)
+        .set(json.settings)
+        .group(json.input)
+        .sends(json.output)
+        .expects(200, done);
+    });
+  });
+
+  describe('debug', function(){
+    var endpoints;
+
+    beforeEach(function(){
+      settings.debug = true;
+      ga = new GoogleAnalytics(settings);
+      endpoints = [];
+    });
+
+    function respond(body){
+      ga.universal.post = function(endpoint){
+        endpoints.push(endpoint);
+        return {
+          type: function(){ return this; },
+          send: function(){ return this; },
+          buffer: function(){ return this; },
+          end: function(fn){ setImmediate(fn, null, { body: body, text: JSON.stringify(body) }); }
+        };
+      };
+    }
+
+    it('should validate hits against the validation server', function(done){
+      respond({ hitParsingResult: [{ valid: true, parserMessage: [] }] });
+      ga.track(helpers.track.bare(), function(err){
+        if (err) return done(err);
+        assert.deepEqual(endpoints, ['https://ssl.google-analytics.com/debug/collect']);
+        done();
+      });
+    });
+
+    it('should error with the offending parameters', function(done){
+      respond({
+        hitParsingResult: [{
+          valid: false,
+          parserMessage: [
+            { messageType: 'INFO', description: 'Found 1 hit.' },
+            { messageType: 'ERROR', description: 'The value provided for parameter \'tid\' is invalid.', parameter: 'tid' }
+          ]
+        }]
+      });
+      ga.universal.send({ v: 1, t: 'event', ec: 'All', ea: 'a', cid: 1, tid: 'invalid' }, function(err){
+        if (!err) return done(new Error('expected an error'));
+        assert.deepEqual(err.parameters, ['tid']);
+        assert.equal(err.messages.length, 1);
+        done();
+      });
+    });
+
+    it('should error on responses without parsing results', function(done){
+      ga.universal.post = function(){
+        return {
+          type: function(){ return this; },
+          send: function(){ return this; },
+          buffer: function(){ return this; },
+          end: function(fn){ setImmediate(fn, null, { body: {}, text: '{}' }); }
+        };
+      };
+      ga.track(helpers.track.bare(), function(err){
+        assert(err);
+        assert.equal(err.message, 'unexpected validation server response');
+        done();
+      });
+    });
+  });
+
   describe('.completedOrder()', function(){
     it('should send ecommerce data', function(done){
       var track = helpers.transaction();
@@ -0,0 +1,95 @@
+'use strict';
+
+var assert = require('assert');
+var validate = require('../lib/validate');
+
+describe('validate', function(){
+  var hit;
+
+  beforeEach(function(){
+    hit = {
+      v: 1,
+      tid: 'UA-27033709-11',
+      cid: 2710159508,
+      t: 'event',
+      ec: 'All',
+      ea: 'some-event',
+      ev: 1
+    };
+  });
+
+  it('should pass valid hits', function(){
+    assert.equal(validate(hit), null);
+  });
+
+  it('should require the common params', function(){
+    delete hit.tid;
+    assert.equal(validate(hit), '"tid" is required for event hits');
+  });
+
+  it('should require a cid or uid', function(){
+    delete hit.cid;
+    assert.equal(validate(hit), '"cid" or "uid" is required');
+    hit.uid = 'user-id';
+    assert.equal(validate(hit), null);
+  });
+
+  it('should require ec and ea for events', function(){
+    hit.ea = '';
+    assert.equal(validate(hit), '"ea" is required for event hits');
+  });
+
+  it('should require ti for transactions', function(){
+    assert.equal(validate({ v: 1, tid: 'UA-1-1', cid: 1, t: 'transaction' }), '"ti" is required for transaction hits');
+  });
+
+  it('should require ti for purchases and refunds', function(){
+    hit.pa = 'refund';
+    assert.equal(validate(hit), '"ti" is required for event hits');
+  });
+
+  it('should require cd for screenviews', function(){
+    assert.equal(validate({ v: 1, tid: 'UA-1-1', cid: 1, t: 'screenview' }), '"cd" is required for screenview hits');
+  });
+
+  it('should require utc, utv and utt for timings', function(){
+    var timing = { v: 1, tid: 'UA-1-1', cid: 1, t: 'timing', utc: 'API', utv: 'search' };
+    assert.equal(validate(timing), '"utt" is required for timing hits');
+    timing.utt = 12.5;
+    assert.equal(validate(timing), '"utt" must be an integer, got "12.5"');
+  });
+
+  it('should limit byte lengths', function(){
+    hit.el = new Array(502).join('a');
+    assert.equal(validate(hit), '"el" must be at most 500 bytes');
+    hit.el = new Array(252).join('é');
+    assert.equal(validate(hit), '"el" must be at most 500 bytes');
+    hit.el = new Array(251).join('é');
+    assert.equal(validate(hit), null);
+  });
+
+  it('should limit byte lengths of indexed params', function(){
+    hit.cd12 = new Array(152).join('a');
+    assert.equal(validate(hit), '"cd12" must be at most 150 bytes');
+  });
+
+  it('should only allow integer event values', function(){
+    hit.ev = 1.5;
+    assert.equal(validate(hit), '"ev" must be an integer, got "1.5"');
+  });
+
+  it('should reject hits queued for over 4 hours', function(){
+    hit.qt = 14400000;
+    assert.equal(validate(hit), null);
+    hit.qt = 14400001;
+    assert.equal(validate(hit), '"qt" must be at most 14400000 ms, the hit is too old');
+  });
+
+  it('should bound custom dimension and metric indexes', function(){
+    hit.cm201 = 1;
+    assert.equal(validate(hit), '"cm201" index must be between 1 and 200');
+    delete hit.cm201;
+    hit.cd0 = 'a';
+    assert.equal(validate(hit), '"cd0" index must be between 1 and 200');
+  });
+});